@@ -0,0 +1,337 @@
+/**
+ * Module Camera
+ * Caméra orbitale amortie, poursuite du projectile et contrôles souris / tactile
+ */
+
+import { normalize, cross, clamp, lerp, degToRad, rotateVectorAroundAxis } from './math.js';
+
+// ===== PRÉRÉGLAGES =====
+
+export const CameraPresets = {
+    default: { rotX: -33, rotY: 0, rotZ: 0, distance: 18, target: [0, 0, 0] },
+    topDown: { rotX: 0, rotY: 0, rotZ: 0, distance: 16, target: [0, 0, 0] },
+    side: { rotX: -80, rotY: 0, rotZ: 0, distance: 16, target: [0, 0, -1] },
+    follow: { rotX: -40, rotY: 0, rotZ: 0, distance: 9 }
+};
+
+const MIN_DISTANCE = 3;
+const MAX_DISTANCE = 40;
+
+// Modes de caméra
+export const CameraMode = {
+    ORBIT: 'orbit',
+    CHASE: 'chase'
+};
+
+// Poursuite : position derrière le projectile, regard vers un point
+// situé plus loin sur la trajectoire restante
+const CHASE_LOOK_AHEAD = 60;   // points de trajectoire (≈ 0.6 unité de temps)
+const CHASE_BACK = 2.5;        // recul derrière le projectile
+const CHASE_HEIGHT = 1.8;      // hauteur au-dessus du projectile
+const CHASE_DAMPING = 6;       // lissage de la pose de poursuite (1/s)
+const CHASE_BLEND_SPEED = 1.5; // vitesse de transition orbite <-> poursuite (1/s)
+
+// Ramène un angle en degrés dans [-180, 180[
+function wrapDegrees(angle) {
+    return ((angle + 180) % 360 + 360) % 360 - 180;
+}
+
+// ===== CAMÉRA ORBITALE =====
+// Deux états : "goal" reçoit les entrées, l'état courant le rejoint
+// exponentiellement à chaque update() pour un mouvement amorti
+
+export class OrbitCamera {
+    constructor(state = CameraPresets.default) {
+        this.rotX = state.rotX;
+        this.rotY = state.rotY;
+        this.rotZ = state.rotZ;
+        this.distance = state.distance;
+        this.target = [...(state.target || [0, 0, 0])];
+
+        this.goal = {
+            rotX: this.rotX,
+            rotY: this.rotY,
+            rotZ: this.rotZ,
+            distance: this.distance,
+            target: [...this.target]
+        };
+
+        this.damping = 10;           // Raideur du lissage (1/s)
+        this.followSource = null;    // () => {x, y, z} suivi par la cible
+        this.following = false;
+
+        // Poursuite : chaseSource() -> { position, path } pendant un vol, sinon null
+        this.mode = CameraMode.ORBIT;
+        this.chaseSource = null;
+        this.chaseBlend = 0;
+        this.chaseEye = null;
+        this.chaseTarget = null;
+        this.chaseDir = [1, 0];
+    }
+
+    setMode(mode) {
+        if (Object.values(CameraMode).includes(mode)) {
+            this.mode = mode;
+        }
+    }
+
+    // ===== ENTRÉES =====
+
+    // Modifie l'état visé ; les angles en degrés
+    set(values) {
+        const goal = this.goal;
+        if (values.rotX !== undefined) goal.rotX = clamp(values.rotX, -90, 90);
+        if (values.rotY !== undefined) {
+            // Plus court chemin depuis l'angle actuel (pas de tour complet)
+            goal.rotY = goal.rotY + wrapDegrees(values.rotY - goal.rotY);
+        }
+        if (values.rotZ !== undefined) goal.rotZ = values.rotZ;
+        if (values.distance !== undefined) {
+            goal.distance = clamp(values.distance, MIN_DISTANCE, MAX_DISTANCE);
+        }
+        if (values.target !== undefined) {
+            goal.target = [...values.target];
+            this.following = false;
+        }
+    }
+
+    rotate(dRotX, dRotY) {
+        this.goal.rotX = clamp(this.goal.rotX + dRotX, -90, 90);
+        this.goal.rotY += dRotY;
+    }
+
+    zoom(factor) {
+        this.goal.distance = clamp(this.goal.distance * factor, MIN_DISTANCE, MAX_DISTANCE);
+    }
+
+    // Déplace la cible dans le plan de l'écran (unités monde)
+    pan(dx, dy) {
+        const { right, up } = this.getBasis();
+        const target = this.goal.target;
+        for (let i = 0; i < 3; i++) {
+            target[i] += right[i] * dx + up[i] * dy;
+        }
+        this.following = false;
+    }
+
+    setPreset(name) {
+        const preset = CameraPresets[name];
+        if (!preset) return;
+
+        this.set(preset);
+        this.following = name === 'follow' && this.followSource !== null;
+    }
+
+    // Valeurs visées, avec rotY ramené dans [-180, 180[ (pour les sliders)
+    getGoalState() {
+        return { ...this.goal, rotY: wrapDegrees(this.goal.rotY) };
+    }
+
+    // ===== ANIMATION =====
+
+    update(dt) {
+        if (this.following) {
+            const p = this.followSource();
+            if (p) this.goal.target = [p.x, p.y, p.z];
+        }
+
+        // Premier frame ou onglet en arrière-plan : pas de saut
+        const k = 1 - Math.exp(-this.damping * Math.min(dt, 0.1));
+        const goal = this.goal;
+
+        this.rotX += (goal.rotX - this.rotX) * k;
+        this.rotY += (goal.rotY - this.rotY) * k;
+        this.rotZ += (goal.rotZ - this.rotZ) * k;
+        this.distance += (goal.distance - this.distance) * k;
+        for (let i = 0; i < 3; i++) {
+            this.target[i] += (goal.target[i] - this.target[i]) * k;
+        }
+
+        this.updateChase(dt);
+    }
+
+    updateChase(dt) {
+        const chase = this.mode === CameraMode.CHASE && this.chaseSource ?
+            this.chaseSource() : null;
+
+        if (chase) {
+            const { eye, target } = this.computeChasePose(chase);
+
+            // Entrée en poursuite : on part directement de la pose visée
+            if (!this.chaseEye || this.chaseBlend === 0) {
+                this.chaseEye = eye;
+                this.chaseTarget = target;
+            } else {
+                const k = 1 - Math.exp(-CHASE_DAMPING * Math.min(dt, 0.1));
+                for (let i = 0; i < 3; i++) {
+                    this.chaseEye[i] += (eye[i] - this.chaseEye[i]) * k;
+                    this.chaseTarget[i] += (target[i] - this.chaseTarget[i]) * k;
+                }
+            }
+        }
+
+        // La transition se poursuit après le tir : retour en douceur à l'orbite
+        const step = CHASE_BLEND_SPEED * Math.min(dt, 0.1);
+        this.chaseBlend = clamp(this.chaseBlend + (chase ? step : -step), 0, 1);
+    }
+
+    computeChasePose({ position, path }) {
+        const ahead = path[Math.min(CHASE_LOOK_AHEAD, path.length - 1)] || position;
+
+        // Direction horizontale du mouvement (conservée si le projectile ralentit)
+        const dx = ahead.x - position.x;
+        const dy = ahead.y - position.y;
+        const len = Math.hypot(dx, dy);
+        if (len > 1e-3) {
+            this.chaseDir = [dx / len, dy / len];
+        }
+        const [dirX, dirY] = this.chaseDir;
+
+        return {
+            eye: [
+                position.x - dirX * CHASE_BACK,
+                position.y - dirY * CHASE_BACK,
+                position.z + CHASE_HEIGHT
+            ],
+            target: [ahead.x, ahead.y, ahead.z]
+        };
+    }
+
+    // Facteur de mélange lissé (0 = orbite, 1 = poursuite)
+    getChaseWeight() {
+        const t = this.chaseBlend;
+        return t * t * (3 - 2 * t);
+    }
+
+    // ===== GÉOMÉTRIE =====
+
+    // Point de vue effectif (orbite mélangée à la poursuite)
+    getEye() {
+        const orbit = this.getOrbitEye();
+        const w = this.getChaseWeight();
+        if (w === 0 || !this.chaseEye) return orbit;
+
+        return orbit.map((v, i) => lerp(v, this.chaseEye[i], w));
+    }
+
+    getViewTarget() {
+        const w = this.getChaseWeight();
+        if (w === 0 || !this.chaseTarget) return this.target;
+
+        return this.target.map((v, i) => lerp(v, this.chaseTarget[i], w));
+    }
+
+    getViewUp() {
+        const orbitUp = this.getUp();
+        const w = this.getChaseWeight();
+        if (w === 0) return orbitUp;
+
+        // En poursuite, la verticale est l'axe z (hauteur de la surface)
+        return normalize(orbitUp.map((v, i) => lerp(v, i === 2 ? 1 : 0, w)));
+    }
+
+    getOrbitEye() {
+        const radX = degToRad(this.rotX);
+        const radY = degToRad(this.rotY);
+
+        return [
+            this.target[0] + this.distance * Math.sin(radY) * Math.cos(radX),
+            this.target[1] + this.distance * Math.sin(radX),
+            this.target[2] + this.distance * Math.cos(radY) * Math.cos(radX)
+        ];
+    }
+
+    getUp() {
+        const radZ = degToRad(this.rotZ);
+        let up = [0, 1, 0];
+
+        if (radZ !== 0) {
+            const eye = this.getOrbitEye();
+            const viewDir = normalize([
+                this.target[0] - eye[0],
+                this.target[1] - eye[1],
+                this.target[2] - eye[2]
+            ]);
+            up = rotateVectorAroundAxis(up, viewDir, radZ);
+        }
+        return up;
+    }
+
+    // Axes droite / haut de l'écran (vue orbitale) dans le repère monde
+    getBasis() {
+        const eye = this.getOrbitEye();
+        const forward = normalize([
+            this.target[0] - eye[0],
+            this.target[1] - eye[1],
+            this.target[2] - eye[2]
+        ]);
+        const right = normalize(cross(forward, this.getUp()));
+        const up = cross(right, forward);
+        return { right, up, forward };
+    }
+}
+
+// ===== CONTRÔLES SOURIS / TACTILE =====
+// Glisser : rotation, clic droit (ou Maj + glisser) : déplacement de la cible,
+// molette : zoom. Les autres modules peuvent intercepter pointerdown en amont.
+
+const ROTATE_SPEED = 0.3;      // degrés par pixel
+const PAN_SPEED = 0.0015;      // unités monde par pixel et par unité de distance
+const ZOOM_SPEED = 0.001;
+
+export class OrbitControls {
+    constructor(canvas, camera) {
+        this.canvas = canvas;
+        this.camera = camera;
+        this.drag = null;
+
+        this.attachEvents();
+    }
+
+    attachEvents() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (this.drag) return;
+
+            const mode = e.button === 2 || (e.button === 0 && e.shiftKey) ? 'pan' :
+                         e.button === 0 ? 'rotate' : null;
+            if (!mode) return;
+
+            this.drag = { mode, pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+            canvas.setPointerCapture(e.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+            const dx = e.clientX - this.drag.x;
+            const dy = e.clientY - this.drag.y;
+            this.drag.x = e.clientX;
+            this.drag.y = e.clientY;
+
+            if (this.drag.mode === 'rotate') {
+                this.camera.rotate(dy * ROTATE_SPEED, -dx * ROTATE_SPEED);
+            } else {
+                const scale = this.camera.goal.distance * PAN_SPEED;
+                this.camera.pan(-dx * scale, dy * scale);
+            }
+        });
+
+        const endDrag = (e) => {
+            if (this.drag && e.pointerId === this.drag.pointerId) {
+                this.drag = null;
+            }
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.camera.zoom(Math.exp(e.deltaY * ZOOM_SPEED));
+        }, { passive: false });
+
+        // Le clic droit sert au déplacement de la cible
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+}
@@ -98,6 +98,75 @@ export function mat4LookAt(eye, center, up) {
     ]);
 }
 
+export function mat4Multiply(a, b) {
+    const out = new Float32Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[col * 4 + k];
+            }
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+// Inverse d'une matrice 4x4 (column-major), null si non inversible
+export function mat4Invert(m) {
+    const a00 = m[0], a01 = m[1], a02 = m[2], a03 = m[3];
+    const a10 = m[4], a11 = m[5], a12 = m[6], a13 = m[7];
+    const a20 = m[8], a21 = m[9], a22 = m[10], a23 = m[11];
+    const a30 = m[12], a31 = m[13], a32 = m[14], a33 = m[15];
+
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+
+    const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (Math.abs(det) < 1e-12) return null;
+    const inv = 1 / det;
+
+    return new Float32Array([
+        (a11 * b11 - a12 * b10 + a13 * b09) * inv,
+        (a02 * b10 - a01 * b11 - a03 * b09) * inv,
+        (a31 * b05 - a32 * b04 + a33 * b03) * inv,
+        (a22 * b04 - a21 * b05 - a23 * b03) * inv,
+        (a12 * b08 - a10 * b11 - a13 * b07) * inv,
+        (a00 * b11 - a02 * b08 + a03 * b07) * inv,
+        (a32 * b02 - a30 * b05 - a33 * b01) * inv,
+        (a20 * b05 - a22 * b02 + a23 * b01) * inv,
+        (a10 * b10 - a11 * b08 + a13 * b06) * inv,
+        (a01 * b08 - a00 * b10 - a03 * b06) * inv,
+        (a30 * b04 - a31 * b02 + a33 * b00) * inv,
+        (a21 * b02 - a20 * b04 - a23 * b00) * inv,
+        (a11 * b07 - a10 * b09 - a12 * b06) * inv,
+        (a00 * b09 - a01 * b07 + a02 * b06) * inv,
+        (a31 * b01 - a30 * b03 - a32 * b00) * inv,
+        (a20 * b03 - a21 * b01 + a22 * b00) * inv
+    ]);
+}
+
+// Transforme un point [x, y, z] (w = 1) avec division perspective
+export function mat4TransformPoint(m, p) {
+    const x = p[0], y = p[1], z = p[2];
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+    return [
+        (m[0] * x + m[4] * y + m[8] * z + m[12]) / w,
+        (m[1] * x + m[5] * y + m[9] * z + m[13]) / w,
+        (m[2] * x + m[6] * y + m[10] * z + m[14]) / w
+    ];
+}
+
 export function rotateVectorAroundAxis(vec, axis, angle) {
     const c = Math.cos(angle);
     const s = Math.sin(angle);
@@ -0,0 +1,68 @@
+/**
+ * Module Motion
+ * Masses mobiles : orbite, oscillation et dérive en fonction du temps
+ */
+
+// ===== TYPES DE MOUVEMENT =====
+// mass.motion (absent pour une masse fixe) :
+//   { type: 'orbit', center: { x, y }, period }
+//       rotation autour de center depuis la position (x, y) ;
+//       period < 0 pour le sens horaire
+//   { type: 'oscillate', amplitude: { x, y }, period, phase? }
+//       va-et-vient sinusoïdal de ± amplitude autour de (x, y) ;
+//       phase : fraction de cycle déjà écoulée à t = 0 (0 par défaut)
+//   { type: 'drift', velocity: { x, y } }
+//       translation uniforme depuis (x, y)
+// Un segment (x2, y2) suit le même déplacement que son origine.
+
+export const MotionType = {
+    ORBIT: 'orbit',
+    OSCILLATE: 'oscillate',
+    DRIFT: 'drift'
+};
+
+// Déplacement de la masse à l'instant t par rapport à sa position (x, y)
+export function massDisplacement(mass, t) {
+    const motion = mass.motion;
+    if (!motion) return { dx: 0, dy: 0 };
+
+    switch (motion.type) {
+        case MotionType.ORBIT: {
+            const { x: cx, y: cy } = motion.center;
+            const angle = 2 * Math.PI * t / motion.period;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const rx = mass.x - cx;
+            const ry = mass.y - cy;
+            return {
+                dx: cx + rx * cos - ry * sin - mass.x,
+                dy: cy + rx * sin + ry * cos - mass.y
+            };
+        }
+        case MotionType.OSCILLATE: {
+            const k = Math.sin(2 * Math.PI * (t / motion.period + (motion.phase || 0)));
+            return { dx: motion.amplitude.x * k, dy: motion.amplitude.y * k };
+        }
+        case MotionType.DRIFT:
+            return { dx: motion.velocity.x * t, dy: motion.velocity.y * t };
+        default:
+            return { dx: 0, dy: 0 };
+    }
+}
+
+// Masse à l'instant t (la masse elle-même si elle est fixe)
+export function massAt(mass, t) {
+    if (!mass.motion) return mass;
+
+    const { dx, dy } = massDisplacement(mass, t);
+    const moved = { ...mass, x: mass.x + dx, y: mass.y + dy };
+    if (mass.x2 !== undefined) {
+        moved.x2 = mass.x2 + dx;
+        moved.y2 = mass.y2 + dy;
+    }
+    return moved;
+}
+
+export function hasMovingMasses(masses) {
+    return masses.some(m => m.motion);
+}
@@ -0,0 +1,185 @@
+/**
+ * Module Obstacles
+ * Objets de niveau : murs, absorbeurs, bumpers, accélérateurs et vortex
+ */
+
+// ===== TYPES D'OBJETS =====
+//   { type: 'wall', x1, y1, x2, y2, restitution? }
+//       segment réfléchissant (restitution 1 : rebond élastique)
+//   { type: 'absorber', x, y, radius }
+//       zone noire : le projectile y est perdu
+//   { type: 'bumper', x, y, radius, kick? }
+//       disque rebondissant qui renvoie le projectile plus vite (× kick)
+//   { type: 'booster', x, y, radius, factor? }
+//       zone traversable qui multiplie la vitesse en y entrant (× factor)
+//   { type: 'wormhole', a: { x, y }, b: { x, y }, radius }
+//       deux bouches reliées : entrer dans l'une fait ressortir de l'autre,
+//       avec la même vitesse et le même décalage par rapport au centre
+
+export const ObstacleType = {
+    WALL: 'wall',
+    ABSORBER: 'absorber',
+    BUMPER: 'bumper',
+    BOOSTER: 'booster',
+    WORMHOLE: 'wormhole'
+};
+
+export const OBSTACLE_DEFAULTS = {
+    restitution: 1,
+    kick: 1.3,
+    factor: 1.5
+};
+
+// Décalage après un rebond, pour ne pas retraverser l'obstacle au pas suivant
+const SURFACE_OFFSET = 1e-4;
+
+// ===== INTERSECTIONS =====
+
+// Fraction s ∈ [0, 1] du déplacement from -> to où il coupe le segment [p, q]
+function segmentIntersection(from, to, p, q) {
+    const rx = to.x - from.x;
+    const ry = to.y - from.y;
+    const sx = q.x - p.x;
+    const sy = q.y - p.y;
+
+    const denom = rx * sy - ry * sx;
+    if (Math.abs(denom) < 1e-12) return null;
+
+    const qpx = p.x - from.x;
+    const qpy = p.y - from.y;
+    const s = (qpx * sy - qpy * sx) / denom;
+    const u = (qpx * ry - qpy * rx) / denom;
+
+    return s >= 0 && s <= 1 && u >= 0 && u <= 1 ? s : null;
+}
+
+// Fraction où le déplacement entre dans le disque (centre c, rayon r),
+// null s'il part de l'intérieur ou ne l'atteint pas
+function circleEntry(from, to, c, r) {
+    const fx = from.x - c.x;
+    const fy = from.y - c.y;
+    const c0 = fx * fx + fy * fy - r * r;
+    if (c0 < 0) return null;
+
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const a = dx * dx + dy * dy;
+    if (a < 1e-18) return null;
+
+    const b = fx * dx + fy * dy;
+    const disc = b * b - a * c0;
+    if (disc < 0) return null;
+
+    const s = (-b - Math.sqrt(disc)) / a;
+    return s >= 0 && s <= 1 ? s : null;
+}
+
+function lerpPoint(from, to, s) {
+    return { x: from.x + (to.x - from.x) * s, y: from.y + (to.y - from.y) * s };
+}
+
+// Réflexion de v sur la normale unitaire n, composante normale × restitution
+function reflect(vel, nx, ny, restitution) {
+    const vn = vel.x * nx + vel.y * ny;
+    return {
+        x: vel.x - (1 + restitution) * vn * nx,
+        y: vel.y - (1 + restitution) * vn * ny
+    };
+}
+
+// ===== DÉTECTION =====
+
+// Premier contact le long du déplacement from -> to (un intervalle
+// d'échantillonnage). Retourne null, ou l'événement le plus proche :
+//   { type, index, absorbed, teleported, pos, vel }
+// pos et vel sont l'état du projectile après l'événement.
+export function collideObstacles(obstacles, from, to, vel) {
+    let best = null;
+
+    const consider = (s, index, resolve) => {
+        if (s !== null && (best === null || s < best.s)) {
+            best = { s, index, resolve };
+        }
+    };
+
+    obstacles.forEach((obstacle, index) => {
+        switch (obstacle.type) {
+            case ObstacleType.WALL: {
+                const p = { x: obstacle.x1, y: obstacle.y1 };
+                const q = { x: obstacle.x2, y: obstacle.y2 };
+                consider(segmentIntersection(from, to, p, q), index, (hit) => {
+                    const len = Math.hypot(q.x - p.x, q.y - p.y);
+                    let nx = -(q.y - p.y) / len;
+                    let ny = (q.x - p.x) / len;
+                    // Normale orientée vers le côté d'arrivée
+                    if ((from.x - hit.x) * nx + (from.y - hit.y) * ny < 0) {
+                        nx = -nx;
+                        ny = -ny;
+                    }
+                    const restitution = obstacle.restitution ?? OBSTACLE_DEFAULTS.restitution;
+                    return {
+                        pos: { x: hit.x + nx * SURFACE_OFFSET, y: hit.y + ny * SURFACE_OFFSET },
+                        vel: reflect(vel, nx, ny, restitution)
+                    };
+                });
+                break;
+            }
+            case ObstacleType.BUMPER: {
+                consider(circleEntry(from, to, obstacle, obstacle.radius), index, (hit) => {
+                    const nx = (hit.x - obstacle.x) / obstacle.radius;
+                    const ny = (hit.y - obstacle.y) / obstacle.radius;
+                    const kick = obstacle.kick ?? OBSTACLE_DEFAULTS.kick;
+                    const bounced = reflect(vel, nx, ny, 1);
+                    return {
+                        pos: { x: hit.x + nx * SURFACE_OFFSET, y: hit.y + ny * SURFACE_OFFSET },
+                        vel: { x: bounced.x * kick, y: bounced.y * kick }
+                    };
+                });
+                break;
+            }
+            case ObstacleType.ABSORBER:
+                consider(circleEntry(from, to, obstacle, obstacle.radius), index, (hit) => ({
+                    pos: hit,
+                    vel: { x: 0, y: 0 },
+                    absorbed: true
+                }));
+                break;
+            case ObstacleType.BOOSTER:
+                consider(circleEntry(from, to, obstacle, obstacle.radius), index, (hit) => {
+                    const factor = obstacle.factor ?? OBSTACLE_DEFAULTS.factor;
+                    // Juste à l'intérieur : l'entrée n'est comptée qu'une fois
+                    const nx = (hit.x - obstacle.x) / obstacle.radius;
+                    const ny = (hit.y - obstacle.y) / obstacle.radius;
+                    return {
+                        pos: { x: hit.x - nx * SURFACE_OFFSET, y: hit.y - ny * SURFACE_OFFSET },
+                        vel: { x: vel.x * factor, y: vel.y * factor }
+                    };
+                });
+                break;
+            case ObstacleType.WORMHOLE:
+                for (const [mouth, exit] of [[obstacle.a, obstacle.b], [obstacle.b, obstacle.a]]) {
+                    consider(circleEntry(from, to, mouth, obstacle.radius), index, (hit) => ({
+                        // Légèrement à l'intérieur de la sortie : pas de renvoi immédiat
+                        pos: {
+                            x: exit.x + (hit.x - mouth.x) * (1 - SURFACE_OFFSET),
+                            y: exit.y + (hit.y - mouth.y) * (1 - SURFACE_OFFSET)
+                        },
+                        vel: { ...vel },
+                        teleported: true
+                    }));
+                }
+                break;
+        }
+    });
+
+    if (!best) return null;
+
+    const hit = lerpPoint(from, to, best.s);
+    return {
+        type: obstacles[best.index].type,
+        index: best.index,
+        absorbed: false,
+        teleported: false,
+        ...best.resolve(hit)
+    };
+}
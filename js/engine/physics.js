@@ -4,8 +4,14 @@
  */
 
 import { vec2, add2D, scale2D, length2D } from './math.js';
+import { getPotentialModel, massOffset, massScale, capturesProjectile } from './potentials.js';
+import { massAt, hasMovingMasses } from './motion.js';
+import { collideObstacles } from './obstacles.js';
 
 // ===== CONFIGURATION DES MASSES =====
+// Les fonctions exportées sans liste de masses lisent celles du jeu (setMasses).
+// Les variantes ...For(list, ...) prennent la liste en argument et n'utilisent
+// aucun état global : c'est ce que fait Simulation (simulation.js).
 
 let masses = [];
 
@@ -17,33 +23,89 @@ export function getMasses() {
     return masses;
 }
 
+// Masses à l'instant t (voir motion.js) ; le tableau d'origine si aucune ne bouge
+export function massesAtTime(list, t) {
+    return hasMovingMasses(list) ? list.map(m => massAt(m, t)) : list;
+}
+
+export function getMassesAt(t) {
+    return massesAtTime(masses, t);
+}
+
 // ===== CALCUL DE LA HAUTEUR GRAVITATIONNELLE =====
-// Identique au shader pour cohérence
+// Chaque masse suit son modèle de potentiel (voir potentials.js) ;
+// le shader utilise les mêmes définitions. t : temps (masses mobiles)
 
-export function gravitationalHeight(x, y) {
+export function gravitationalHeightFor(list, x, y, t = 0) {
     let height = 0;
 
-    for (const mass of masses) {
-        const dx = x - mass.x;
-        const dy = y - mass.y;
+    for (const mass of massesAtTime(list, t)) {
+        const model = getPotentialModel(mass.model);
+        const { dx, dy } = massOffset(mass, x, y);
         const dist = Math.sqrt(dx * dx + dy * dy);
-        height -= mass.strength / (dist + 0.5);
+        height += model.heightAt(dist, mass.strength, massScale(mass));
     }
 
     return height;
 }
 
+export function gravitationalHeight(x, y, t = 0) {
+    return gravitationalHeightFor(masses, x, y, t);
+}
+
+// ===== DÉRIVÉES ANALYTIQUES =====
+// Pour une masse de profil f(r), avec u = (dx, dy) / r :
+//   ∂f/∂xᵢ      = f' uᵢ
+//   ∂²f/∂xᵢ∂xⱼ = f'' uᵢ uⱼ + f' ∂²r/∂xᵢ∂xⱼ
+// où ∂²r/∂xᵢ∂xⱼ = (δᵢⱼ - uᵢ uⱼ) / r autour d'un point, et 0 le long
+// d'un segment (distance affine). f' et f'' sont fournis par le modèle.
+// Un seul parcours des masses donne hauteur, gradient et hessienne.
+
+export function computeHeightDerivativesFor(list, x, y, t = 0) {
+    let h = 0, hx = 0, hy = 0, hxx = 0, hxy = 0, hyy = 0;
+
+    for (const mass of massesAtTime(list, t)) {
+        const model = getPotentialModel(mass.model);
+        const a = massScale(mass);
+        const s = mass.strength;
+        const { dx, dy, curved } = massOffset(mass, x, y);
+        const r = Math.sqrt(dx * dx + dy * dy);
+
+        h += model.heightAt(r, s, a);
+
+        // Au centre exact, la direction (et donc les dérivées) n'est pas définie
+        if (r < 1e-9) continue;
+
+        const d1 = model.d1At(r, s, a);
+        const d2 = model.d2At(r, s, a);
+        const ux = dx / r;
+        const uy = dy / r;
+        const d1r = curved ? d1 / r : 0;
+
+        hx += d1 * ux;
+        hy += d1 * uy;
+        hxx += d2 * ux * ux + d1r * (1 - ux * ux);
+        hxy += (d2 - d1r) * ux * uy;
+        hyy += d2 * uy * uy + d1r * (1 - uy * uy);
+    }
+
+    return { h, hx, hy, hxx, hxy, hyy };
+}
+
+export function computeHeightDerivatives(x, y, t = 0) {
+    return computeHeightDerivativesFor(masses, x, y, t);
+}
+
 // ===== CALCUL DU GRADIENT (dérivées partielles) =====
 
-export function computeGradient(x, y, eps = 0.01) {
-    const z0 = gravitationalHeight(x, y);
-    const zx = gravitationalHeight(x + eps, y);
-    const zy = gravitationalHeight(x, y + eps);
+export function computeGradient(x, y, t = 0) {
+    const d = computeHeightDerivatives(x, y, t);
+    return { dzdx: d.hx, dzdy: d.hy };
+}
 
-    return {
-        dzdx: (zx - z0) / eps,
-        dzdy: (zy - z0) / eps
-    };
+export function computeHessian(x, y, t = 0) {
+    const d = computeHeightDerivatives(x, y, t);
+    return { hxx: d.hxx, hxy: d.hxy, hyy: d.hyy };
 }
 
 // ===== CALCUL DE LA MÉTRIQUE =====
@@ -51,9 +113,7 @@ export function computeGradient(x, y, eps = 0.01) {
 // g = [[1 + (∂z/∂x)², (∂z/∂x)(∂z/∂y)],
 //      [(∂z/∂x)(∂z/∂y), 1 + (∂z/∂y)²]]
 
-export function computeMetric(x, y) {
-    const { dzdx, dzdy } = computeGradient(x, y);
-
+function metricFromGradient(dzdx, dzdy) {
     return {
         g11: 1 + dzdx * dzdx,
         g12: dzdx * dzdy,
@@ -62,16 +122,70 @@ export function computeMetric(x, y) {
     };
 }
 
+export function computeMetric(x, y, t = 0) {
+    const { dzdx, dzdy } = computeGradient(x, y, t);
+    return metricFromGradient(dzdx, dzdy);
+}
+
 // ===== CALCUL DES SYMBOLES DE CHRISTOFFEL =====
-// Γⁱⱼₖ = ½ gⁱˡ (∂gₗⱼ/∂xᵏ + ∂gₗₖ/∂xʲ - ∂gⱼₖ/∂xˡ)
+// Pour un graphe z = f(x,y), la formule générale
+// Γⁱⱼₖ = ½ gⁱˡ (∂gₗⱼ/∂xᵏ + ∂gₗₖ/∂xʲ - ∂gⱼₖ/∂xˡ) se simplifie en
+// Γⁱⱼₖ = fᵢ fⱼₖ / (1 + |∇f|²)
 
-export function computeChristoffel(x, y, eps = 0.02) {
-    // Métriques aux points voisins
-    const g = computeMetric(x, y);
-    const gxp = computeMetric(x + eps, y);
-    const gxm = computeMetric(x - eps, y);
-    const gyp = computeMetric(x, y + eps);
-    const gym = computeMetric(x, y - eps);
+function christoffelFromDerivatives(d) {
+    const w = 1 / (1 + d.hx * d.hx + d.hy * d.hy);
+    const ax = d.hx * w;
+    const ay = d.hy * w;
+
+    return {
+        G111: ax * d.hxx,
+        G112: ax * d.hxy,
+        G122: ax * d.hyy,
+        G211: ay * d.hxx,
+        G212: ay * d.hxy,
+        G222: ay * d.hyy
+    };
+}
+
+export function computeChristoffel(x, y, t = 0) {
+    return christoffelFromDerivatives(computeHeightDerivatives(x, y, t));
+}
+
+// ===== CALCUL DE LA COURBURE GAUSSIENNE =====
+// K = (fxx fyy - fxy²) / (1 + fx² + fy²)²
+
+export function curvatureFromDerivatives(d) {
+    const denom = 1 + d.hx * d.hx + d.hy * d.hy;
+    return (d.hxx * d.hyy - d.hxy * d.hxy) / (denom * denom);
+}
+
+export function computeGaussianCurvature(x, y, t = 0) {
+    return curvatureFromDerivatives(computeHeightDerivatives(x, y, t));
+}
+
+// ===== RÉFÉRENCE PAR DIFFÉRENCES FINIES =====
+// Versions numériques (différences centrées, pas eps), conservées pour
+// valider les formules analytiques : voir test/derivatives.test.mjs
+
+export function computeGradientFD(x, y, eps = 0.01) {
+    return {
+        dzdx: (gravitationalHeight(x + eps, y) - gravitationalHeight(x - eps, y)) / (2 * eps),
+        dzdy: (gravitationalHeight(x, y + eps) - gravitationalHeight(x, y - eps)) / (2 * eps)
+    };
+}
+
+export function computeMetricFD(x, y, eps = 0.01) {
+    const { dzdx, dzdy } = computeGradientFD(x, y, eps);
+    return metricFromGradient(dzdx, dzdy);
+}
+
+export function computeChristoffelFD(x, y, eps = 0.02) {
+    // Métriques aux points voisins (gradient au même pas)
+    const g = computeMetricFD(x, y, eps);
+    const gxp = computeMetricFD(x + eps, y, eps);
+    const gxm = computeMetricFD(x - eps, y, eps);
+    const gyp = computeMetricFD(x, y + eps, eps);
+    const gym = computeMetricFD(x, y - eps, eps);
 
     // Dérivées de la métrique
     const dg11dx = (gxp.g11 - gxm.g11) / (2 * eps);
@@ -112,9 +226,7 @@ export function computeChristoffel(x, y, eps = 0.02) {
     return { G111, G112, G122, G211, G212, G222 };
 }
 
-// ===== CALCUL DE LA COURBURE GAUSSIENNE =====
-
-export function computeGaussianCurvature(x, y, eps = 0.05) {
+export function computeGaussianCurvatureFD(x, y, eps = 0.05) {
     const z0 = gravitationalHeight(x, y);
 
     // Dérivées secondes
@@ -127,7 +239,7 @@ export function computeGaussianCurvature(x, y, eps = 0.05) {
         gravitationalHeight(x - eps, y - eps)
     ) / 4;
 
-    const { dzdx, dzdy } = computeGradient(x, y, eps);
+    const { dzdx, dzdy } = computeGradientFD(x, y, eps);
 
     // Formule de la courbure gaussienne pour z = f(x,y)
     const eps2 = eps * eps;
@@ -145,9 +257,7 @@ export function computeGaussianCurvature(x, y, eps = 0.05) {
 // Pour un gameplay réaliste, on intègre en temps coordonné (pas en paramètre affine)
 // Ainsi une particule lente passe plus de temps dans la zone courbée
 
-function geodesicAcceleration(pos, vel) {
-    const G = computeChristoffel(pos.x, pos.y);
-
+function geodesicAcceleration(derivatives, vel) {
     const vx = vel.x;
     const vy = vel.y;
     
@@ -155,6 +265,8 @@ function geodesicAcceleration(pos, vel) {
     const speed = Math.sqrt(vx * vx + vy * vy);
     if (speed < 0.001) return { x: 0, y: 0 };
 
+    const G = christoffelFromDerivatives(derivatives);
+
     // Accélération géodésique de base
     const ax = -(G.G111 * vx * vx + 2 * G.G112 * vx * vy + G.G122 * vy * vy);
     const ay = -(G.G211 * vx * vx + 2 * G.G212 * vx * vy + G.G222 * vy * vy);
@@ -164,25 +276,25 @@ function geodesicAcceleration(pos, vel) {
 
 // Force de "gravité effective" - simule l'attraction vers les puits
 // C'est l'accélération que subirait une particule au repos
-function computeEffectiveGravity(pos) {
-    const { dzdx, dzdy } = computeGradient(pos.x, pos.y);
-    
+function computeEffectiveGravity(derivatives) {
     // Le gradient pointe vers le haut de la pente
     // La gravité tire vers le bas (signe négatif)
     const gravityStrength = 2.0;
     
     return {
-        x: -dzdx * gravityStrength,
-        y: -dzdy * gravityStrength
+        x: -derivatives.hx * gravityStrength,
+        y: -derivatives.hy * gravityStrength
     };
 }
 
 // ===== INTÉGRATION RK4 =====
+// t : instant de début du pas, pour les masses mobiles ; list : masses du champ
 
-function totalAcceleration(pos, vel) {
+function totalAcceleration(list, pos, vel, t) {
     // Combinaison : géodésique (déviation) + gravité effective (attraction)
-    const geodesic = geodesicAcceleration(pos, vel);
-    const gravity = computeEffectiveGravity(pos);
+    const derivatives = computeHeightDerivativesFor(list, pos.x, pos.y, t);
+    const geodesic = geodesicAcceleration(derivatives, vel);
+    const gravity = computeEffectiveGravity(derivatives);
     
     return {
         x: geodesic.x + gravity.x,
@@ -190,30 +302,30 @@ function totalAcceleration(pos, vel) {
     };
 }
 
-export function integrateRK4(pos, vel, dt) {
+function stepRK4(list, pos, vel, dt, t) {
     // k1
-    const a1 = totalAcceleration(pos, vel);
+    const a1 = totalAcceleration(list, pos, vel, t);
     const k1v = scale2D(a1, dt);
     const k1p = scale2D(vel, dt);
 
     // k2
     const pos2 = add2D(pos, scale2D(k1p, 0.5));
     const vel2 = add2D(vel, scale2D(k1v, 0.5));
-    const a2 = totalAcceleration(pos2, vel2);
+    const a2 = totalAcceleration(list, pos2, vel2, t + dt / 2);
     const k2v = scale2D(a2, dt);
     const k2p = scale2D(vel2, dt);
 
     // k3
     const pos3 = add2D(pos, scale2D(k2p, 0.5));
     const vel3 = add2D(vel, scale2D(k2v, 0.5));
-    const a3 = totalAcceleration(pos3, vel3);
+    const a3 = totalAcceleration(list, pos3, vel3, t + dt / 2);
     const k3v = scale2D(a3, dt);
     const k3p = scale2D(vel3, dt);
 
     // k4
     const pos4 = add2D(pos, k3p);
     const vel4 = add2D(vel, k3v);
-    const a4 = totalAcceleration(pos4, vel4);
+    const a4 = totalAcceleration(list, pos4, vel4, t + dt);
     const k4v = scale2D(a4, dt);
     const k4p = scale2D(vel4, dt);
 
@@ -231,7 +343,160 @@ export function integrateRK4(pos, vel, dt) {
     return { pos: newPos, vel: newVel };
 }
 
+export function integrateRK4(pos, vel, dt, t = 0) {
+    return stepRK4(masses, pos, vel, dt, t);
+}
+
+// ===== INTÉGRATION ADAPTATIVE DORMAND-PRINCE (RK45) =====
+// Schéma emboîté d'ordre 5(4) : l'écart entre les deux solutions estime
+// l'erreur locale et pilote la taille du pas
+
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Instants relatifs des étapes (fractions du pas)
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+// Différence entre les poids d'ordre 5 et d'ordre 4
+const DP_E = [
+    71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40
+];
+
+const ADAPTIVE_MIN_STEP = 1e-7;
+const ADAPTIVE_MAX_STEP = 0.25;
+
+// Dérivée de l'état [x, y, vx, vy] à l'instant t
+function stateDerivative(list, y, t) {
+    const a = totalAcceleration(list, { x: y[0], y: y[1] }, { x: y[2], y: y[3] }, t);
+    return [y[2], y[3], a.x, a.y];
+}
+
+// Un pas Dormand-Prince. k1 est réutilisé du pas précédent (FSAL).
+function stepDormandPrince(list, y, k1, h, t) {
+    const k = [k1];
+
+    for (let s = 1; s < 7; s++) {
+        const yi = y.slice();
+        for (let j = 0; j < s; j++) {
+            const a = DP_A[s][j];
+            if (a === 0) continue;
+            for (let n = 0; n < 4; n++) yi[n] += h * a * k[j][n];
+        }
+        if (s === 6) {
+            // La 7e étape est évaluée au nouvel état (solution d'ordre 5)
+            k.push(stateDerivative(list, yi, t + h));
+            return { yNew: yi, k, error: computeStepError(k, h) };
+        }
+        k.push(stateDerivative(list, yi, t + DP_C[s] * h));
+    }
+}
+
+function computeStepError(k, h) {
+    const error = [0, 0, 0, 0];
+    for (let j = 0; j < 7; j++) {
+        const e = DP_E[j];
+        if (e === 0) continue;
+        for (let n = 0; n < 4; n++) error[n] += h * e * k[j][n];
+    }
+    return error;
+}
+
+// Norme RMS de l'erreur, relative à la tolérance (≤ 1 : pas accepté)
+function errorNorm(error, y, yNew, tolerance) {
+    let sum = 0;
+    for (let n = 0; n < 4; n++) {
+        const scale = tolerance * (1 + Math.max(Math.abs(y[n]), Math.abs(yNew[n])));
+        sum += (error[n] / scale) ** 2;
+    }
+    return Math.sqrt(sum / 4);
+}
+
+// Interpolation d'Hermite cubique de la position entre deux pas acceptés
+function hermitePosition(y0, y1, h, theta) {
+    const t2 = theta * theta;
+    const t3 = t2 * theta;
+    const h00 = 2 * t3 - 3 * t2 + 1;
+    const h10 = t3 - 2 * t2 + theta;
+    const h01 = -2 * t3 + 3 * t2;
+    const h11 = t3 - t2;
+
+    return {
+        x: h00 * y0[0] + h10 * h * y0[2] + h01 * y1[0] + h11 * h * y1[2],
+        y: h00 * y0[1] + h10 * h * y0[3] + h01 * y1[1] + h11 * h * y1[3]
+    };
+}
+
+// Dérivée temporelle de l'interpolation d'Hermite (vitesse au même instant)
+function hermiteVelocity(y0, y1, h, theta) {
+    const t2 = theta * theta;
+    const d00 = 6 * t2 - 6 * theta;
+    const d10 = 3 * t2 - 4 * theta + 1;
+    const d01 = -6 * t2 + 6 * theta;
+    const d11 = 3 * t2 - 2 * theta;
+
+    return {
+        x: (d00 * y0[0] + d10 * h * y0[2] + d01 * y1[0] + d11 * h * y1[2]) / h,
+        y: (d00 * y0[1] + d10 * h * y0[3] + d01 * y1[1] + d11 * h * y1[3]) / h
+    };
+}
+
+// ===== FIN DE TRAJECTOIRE =====
+// result.termination = { reason, t, ... } avec selon la raison :
+//   captured : massIndex (indice de la masse, -1 si inconnu)
+//   out      : edge ('minX', 'maxX', 'minY' ou 'maxY', bord franchi)
+//   absorbed : objectIndex (indice de l'objet)
+//   timeout  : finalSpeed (maxSteps atteint : orbite si la vitesse reste élevée)
+
+export const TerminationReason = {
+    GOAL: 'goal',
+    CAPTURED: 'captured',
+    OUT_OF_BOUNDS: 'out',
+    ABSORBED: 'absorbed',
+    TIMEOUT: 'timeout'
+};
+
+function crossedEdge(pos, bounds) {
+    if (pos.x < bounds.minX) return 'minX';
+    if (pos.x > bounds.maxX) return 'maxX';
+    if (pos.y < bounds.minY) return 'minY';
+    if (pos.y > bounds.maxY) return 'maxY';
+    return null;
+}
+
+// Indice de la masse capturante la plus proche (-1 si aucune)
+function nearestCapturingMass(list, pos, time) {
+    let best = -1;
+    let bestDist = Infinity;
+    massesAtTime(list, time).forEach((mass, i) => {
+        const dist = Math.hypot(pos.x - mass.x, pos.y - mass.y);
+        if (capturesProjectile(mass) && dist < bestDist) {
+            bestDist = dist;
+            best = i;
+        }
+    });
+    return best;
+}
+
 // ===== CALCUL DE TRAJECTOIRE COMPLÈTE =====
+// Options :
+//   integrator : 'rk4' (pas fixe dt) ou 'rk45' (pas adaptatif, tolérance `tolerance`)
+//   dt         : pas d'intégration en RK4, intervalle d'échantillonnage en RK45
+//   maxSteps   : nombre maximal de points échantillonnés (horizon maxSteps * dt)
+//   startTime  : instant du tir, pour les masses mobiles
+//   obstacles  : objets du niveau (voir obstacles.js)
+//   masses     : masses du champ (par défaut celles de setMasses)
+// Dans les deux cas la trajectoire est échantillonnée tous les dt,
+// pour le rendu et l'animation ; chaque point porte son instant t.
+// Les obstacles sont testés entre deux échantillons ; après un rebond ou un
+// passage de vortex, l'intégration repart de l'état modifié. Le premier
+// point après un vortex porte jump: true (la ligne est interrompue).
+// Le résultat indique la raison de l'arrêt (termination) et le point du
+// trajet le plus proche du bord de l'objectif (closestApproach).
 
 export function computeTrajectory(startPos, startVel, options = {}) {
     const {
@@ -239,55 +504,199 @@ export function computeTrajectory(startPos, startVel, options = {}) {
         dt = 0.01,
         bounds = { minX: -5, maxX: 5, minY: -5, maxY: 5 },
         goalPos = null,
-        goalRadius = 0.3
+        goalRadius = 0.3,
+        integrator = 'rk4',
+        tolerance = 1e-6,
+        startTime = 0,
+        obstacles = [],
+        masses: list = masses
     } = options;
 
     const trajectory = [];
-    let pos = { ...startPos };
-    let vel = { ...startVel };
+    const events = [];
     let reachedGoal = false;
     let outOfBounds = false;
+    let captured = false;
+    let absorbed = false;
+    let termination = null;
+    let closestApproach = null;
+    let integratorSteps = 0;
+
+    // Enregistre un point échantillonné ; vrai si la trajectoire s'arrête là
+    const sample = (pos, time, event = null) => {
+        // Éviter les singularités (trop proche du centre d'un puits). Le point
+        // de départ est toujours émis, même dans la zone de capture (départ
+        // placé dans l'éditeur, masse mobile passant sur le projectile) :
+        // la capture survient alors à l'échantillon suivant.
+        const current = trajectory.length > 0 ? massesAtTime(list, time) : [];
+        for (let i = 0; i < current.length; i++) {
+            const mass = current[i];
+            if (!capturesProjectile(mass)) continue;
+            const dist = length2D({ x: pos.x - mass.x, y: pos.y - mass.y });
+            if (dist < 0.3) {
+                captured = true;
+                termination = { reason: TerminationReason.CAPTURED, t: time, massIndex: i };
+                return true;
+            }
+        }
 
-    for (let i = 0; i < maxSteps; i++) {
-        trajectory.push({ x: pos.x, y: pos.y, z: gravitationalHeight(pos.x, pos.y) });
+        const point = {
+            x: pos.x,
+            y: pos.y,
+            z: gravitationalHeightFor(list, pos.x, pos.y, time),
+            t: time
+        };
+        if (event?.teleported) point.jump = true;
+        trajectory.push(point);
+
+        if (event?.absorbed) {
+            absorbed = true;
+            termination = { reason: TerminationReason.ABSORBED, t: time, objectIndex: event.index };
+            return true;
+        }
 
         // Vérifier si on a atteint l'objectif
         if (goalPos) {
             const distToGoal = length2D({ x: pos.x - goalPos.x, y: pos.y - goalPos.y });
+            const gap = Math.max(0, distToGoal - goalRadius);
+            if (!closestApproach || gap < closestApproach.distance) {
+                closestApproach = { distance: gap, point, index: trajectory.length - 1 };
+            }
             if (distToGoal < goalRadius) {
                 reachedGoal = true;
-                break;
+                termination = { reason: TerminationReason.GOAL, t: time };
+                return true;
             }
         }
 
         // Vérifier les limites
-        if (pos.x < bounds.minX || pos.x > bounds.maxX ||
-            pos.y < bounds.minY || pos.y > bounds.maxY) {
+        const edge = crossedEdge(pos, bounds);
+        if (edge) {
             outOfBounds = true;
-            break;
+            termination = { reason: TerminationReason.OUT_OF_BOUNDS, t: time, edge };
+            return true;
         }
 
-        // Intégration
-        const result = integrateRK4(pos, vel, dt);
-        pos = result.pos;
-        vel = result.vel;
+        if (trajectory.length >= maxSteps) {
+            termination = { reason: TerminationReason.TIMEOUT, t: time, finalSpeed: 0 };
+            return true;
+        }
+        return false;
+    };
 
-        // Éviter les singularités (trop proche d'une masse)
-        let tooClose = false;
-        for (const mass of masses) {
-            const dist = length2D({ x: pos.x - mass.x, y: pos.y - mass.y });
-            if (dist < 0.3) {
-                tooClose = true;
-                break;
+    // Obstacle rencontré entre deux échantillons, ou null
+    const collide = (from, to, vel, time) => {
+        if (obstacles.length === 0) return null;
+
+        const event = collideObstacles(obstacles, from, to, vel);
+        if (event) events.push({ type: event.type, index: event.index, t: time });
+        return event;
+    };
+
+    let pos = { ...startPos };
+
+    if (integrator === 'rk45') {
+        let y = [startPos.x, startPos.y, startVel.x, startVel.y];
+        let t = startTime;
+        let k1 = stateDerivative(list, y, t);
+        let h = dt;
+        let nextSample = t;
+        let done = sample(pos, nextSample);
+        nextSample += dt;
+
+        while (!done) {
+            const { yNew, k, error } = stepDormandPrince(list, y, k1, h, t);
+            const err = errorNorm(error, y, yNew, tolerance);
+
+            if (err > 1) {
+                // Pas rejeté : on réduit et on recommence
+                h *= Math.max(0.2, 0.9 * Math.pow(err, -0.2));
+                if (h < ADAPTIVE_MIN_STEP) {
+                    // Pas minimal atteint : singularité, on considère la capture
+                    captured = true;
+                    termination = {
+                        reason: TerminationReason.CAPTURED,
+                        t,
+                        massIndex: nearestCapturingMass(list, pos, t)
+                    };
+                    break;
+                }
+                continue;
+            }
+
+            integratorSteps++;
+
+            // Échantillons tombant dans le pas accepté
+            let restart = null;
+            while (!done && nextSample <= t + h) {
+                const theta = (nextSample - t) / h;
+                const previous = pos;
+                pos = hermitePosition(y, yNew, h, theta);
+
+                const event = obstacles.length > 0 ?
+                    collide(previous, pos, hermiteVelocity(y, yNew, h, theta), nextSample) : null;
+                if (event) {
+                    pos = event.pos;
+                    restart = { vel: event.vel, time: nextSample };
+                }
+
+                done = sample(pos, nextSample, event);
+                nextSample += dt;
+                if (restart) break;
+            }
+
+            if (restart) {
+                // État modifié par un obstacle : le reste du pas est abandonné
+                t = restart.time;
+                y = [pos.x, pos.y, restart.vel.x, restart.vel.y];
+                k1 = stateDerivative(list, y, t);
+                h = dt;
+                continue;
             }
+
+            t += h;
+            y = yNew;
+            k1 = k[6];
+            // pos reste le dernier échantillon : le prochain test de collision
+            // part de là et couvre la fin de ce pas
+
+            const growth = err === 0 ? 5 : Math.min(5, 0.9 * Math.pow(err, -0.2));
+            h = Math.min(h * growth, ADAPTIVE_MAX_STEP);
+        }
+    } else {
+        let vel = { ...startVel };
+        let t = startTime;
+        let done = sample(pos, t);
+
+        while (!done) {
+            // Intégration
+            const result = stepRK4(list, pos, vel, dt, t);
+            integratorSteps++;
+            t += dt;
+
+            const event = collide(pos, result.pos, result.vel, t);
+            pos = event ? event.pos : result.pos;
+            vel = event ? event.vel : result.vel;
+            done = sample(pos, t, event);
         }
-        if (tooClose) break;
+    }
+
+    // Vitesse finale estimée sur le dernier intervalle d'échantillonnage
+    if (termination?.reason === TerminationReason.TIMEOUT && trajectory.length > 1) {
+        const [a, b] = trajectory.slice(-2);
+        termination.finalSpeed = Math.hypot(b.x - a.x, b.y - a.y) / (b.t - a.t);
     }
 
     return {
         points: trajectory,
         reachedGoal,
         outOfBounds,
-        finalPos: pos
+        captured,
+        absorbed,
+        termination,
+        closestApproach,
+        events,
+        finalPos: pos,
+        integratorSteps
     };
-}
\ No newline at end of file
+}
@@ -0,0 +1,240 @@
+/**
+ * Module Potentials
+ * Registre des modèles de potentiel : chaque modèle est décrit une seule fois
+ * par des expressions, compilées en JavaScript (physique) et en GLSL (rendu)
+ */
+
+// ===== LANGAGE DES EXPRESSIONS =====
+// Sous-ensemble commun à JavaScript et GLSL :
+//   variables  r (distance), s (force), a (échelle du modèle)
+//   fonctions  exp, sqrt, pow
+//   nombres    toujours avec un point décimal (2.0 et non 2), exigé par GLSL
+// Un modèle fournit la hauteur f(r) et ses dérivées f'(r), f''(r).
+// Convention commune : force positive = puits (attractif), négative = colline.
+
+const ALLOWED_IDENTIFIERS = new Set(['r', 's', 'a', 'exp', 'sqrt', 'pow']);
+
+function checkExpression(expr, where) {
+    const tokens = expr.match(/[A-Za-z_]\w*|\d+(\.\d*)?|\.\d+/g) || [];
+    for (const token of tokens) {
+        if (/^[A-Za-z_]/.test(token)) {
+            if (!ALLOWED_IDENTIFIERS.has(token)) {
+                throw new Error(`${where} : identifiant non autorisé "${token}"`);
+            }
+        } else if (!token.includes('.')) {
+            throw new Error(`${where} : le nombre ${token} doit s'écrire ${token}.0 (GLSL)`);
+        }
+    }
+}
+
+function compileExpression(expr) {
+    return new Function('r', 's', 'a', `const { exp, sqrt, pow } = Math;\nreturn ${expr};`);
+}
+
+// ===== GÉOMÉTRIES =====
+// point   : distance au centre (x, y)
+// segment : distance au segment (x, y) - (x2, y2), pour les crêtes et tranchées
+
+export const PotentialGeometry = {
+    POINT: 'point',
+    SEGMENT: 'segment'
+};
+
+// ===== REGISTRE =====
+
+export const DEFAULT_POTENTIAL = 'softened';
+
+const models = new Map();
+
+// definition : { label, geometry, scale: { label, default, min, max },
+//                height, d1, d2 } (expressions en r, s, a)
+export function registerPotentialModel(id, definition) {
+    if (!/^[a-z][a-z0-9]*$/.test(id)) {
+        throw new Error(`Identifiant de modèle invalide : "${id}"`);
+    }
+    if (!Object.values(PotentialGeometry).includes(definition.geometry)) {
+        throw new Error(`Modèle ${id} : géométrie inconnue "${definition.geometry}"`);
+    }
+    for (const key of ['height', 'd1', 'd2']) {
+        checkExpression(definition[key], `Modèle ${id}, ${key}`);
+    }
+
+    const previous = models.get(id);
+    models.set(id, {
+        ...definition,
+        id,
+        index: previous ? previous.index : models.size,
+        heightAt: compileExpression(definition.height),
+        d1At: compileExpression(definition.d1),
+        d2At: compileExpression(definition.d2)
+    });
+}
+
+export function getPotentialModel(id = DEFAULT_POTENTIAL) {
+    return models.get(id) || models.get(DEFAULT_POTENTIAL);
+}
+
+export function hasPotentialModel(id) {
+    return models.has(id);
+}
+
+export function getPotentialModels() {
+    return [...models.values()];
+}
+
+// ===== MODÈLES FOURNIS =====
+// Profondeur au centre s / a pour tous les modèles, pour qu'une même force
+// donne des puits comparables
+
+// Newtonien adouci : le puits historique du jeu (a = 0.5)
+registerPotentialModel('softened', {
+    label: 'Newtonien adouci',
+    geometry: PotentialGeometry.POINT,
+    scale: { label: 'Adoucissement', default: 0.5, min: 0.1, max: 2 },
+    height: '-s / (r + a)',
+    d1: 's / ((r + a) * (r + a))',
+    d2: '-2.0 * s / ((r + a) * (r + a) * (r + a))'
+});
+
+// Sphère de Plummer : fond arrondi, même décroissance en 1/r au loin
+registerPotentialModel('plummer', {
+    label: 'Sphère de Plummer',
+    geometry: PotentialGeometry.POINT,
+    scale: { label: 'Rayon du cœur', default: 0.6, min: 0.1, max: 2 },
+    height: '-s / sqrt(r * r + a * a)',
+    d1: 's * r / pow(r * r + a * a, 1.5)',
+    d2: 's * (a * a - 2.0 * r * r) / pow(r * r + a * a, 2.5)'
+});
+
+// Puits gaussien : influence locale, négligeable au-delà de quelques a
+registerPotentialModel('gaussian', {
+    label: 'Puits gaussien',
+    geometry: PotentialGeometry.POINT,
+    scale: { label: 'Largeur', default: 0.8, min: 0.2, max: 3 },
+    height: '-s / a * exp(-r * r / (2.0 * a * a))',
+    d1: 's * r / (a * a * a) * exp(-r * r / (2.0 * a * a))',
+    d2: 's / (a * a * a) * (1.0 - r * r / (a * a)) * exp(-r * r / (2.0 * a * a))'
+});
+
+// Crête (force négative) ou tranchée (force positive) le long d'un segment
+registerPotentialModel('ridge', {
+    label: 'Crête / tranchée',
+    geometry: PotentialGeometry.SEGMENT,
+    scale: { label: 'Demi-largeur', default: 0.3, min: 0.1, max: 1.5 },
+    height: '-s / a * exp(-r * r / (2.0 * a * a))',
+    d1: 's * r / (a * a * a) * exp(-r * r / (2.0 * a * a))',
+    d2: 's / (a * a * a) * (1.0 - r * r / (a * a)) * exp(-r * r / (2.0 * a * a))'
+});
+
+// ===== ÉVALUATION POUR UNE MASSE =====
+
+export function massScale(mass) {
+    return mass.scale ?? getPotentialModel(mass.model).scale.default;
+}
+
+// Vecteur du point le plus proche de la masse vers (x, y).
+// curved est faux à l'intérieur d'un segment : la distance y est affine,
+// sa hessienne est nulle (au lieu de (δᵢⱼ - uᵢuⱼ) / r autour d'un point).
+export function massOffset(mass, x, y) {
+    const model = getPotentialModel(mass.model);
+
+    if (model.geometry === PotentialGeometry.SEGMENT) {
+        const ex = mass.x2 - mass.x;
+        const ey = mass.y2 - mass.y;
+        const len2 = ex * ex + ey * ey;
+        const t = len2 > 1e-12 ?
+            Math.min(Math.max(((x - mass.x) * ex + (y - mass.y) * ey) / len2, 0), 1) : 0;
+
+        return {
+            dx: x - (mass.x + t * ex),
+            dy: y - (mass.y + t * ey),
+            curved: t <= 0 || t >= 1
+        };
+    }
+
+    return { dx: x - mass.x, dy: y - mass.y, curved: true };
+}
+
+// Seuls les puits ponctuels capturent le projectile (près de leur centre)
+export function capturesProjectile(mass) {
+    return mass.strength > 0 &&
+           getPotentialModel(mass.model).geometry === PotentialGeometry.POINT;
+}
+
+// ===== GÉNÉRATION GLSL =====
+// Fonctions attendues par les shaders :
+//   float massDistance(int model, vec2 pos, vec2 a, vec2 b)
+//   vec2 massOffset(int model, vec2 pos, vec2 a, vec2 b, out bool curved)
+//   float massHeight(int model, float r, float s, float a)
+//   float massD1(int model, float r, float s, float a)       f'(r)
+//   float massD2(int model, float r, float s, float a)       f''(r)
+//   bool isSegmentModel(int model)
+
+export function generatePotentialGLSL() {
+    const list = getPotentialModels();
+    const segments = list.filter(m => m.geometry === PotentialGeometry.SEGMENT);
+
+    const functions = list.map(m => `
+    float potential_${m.id}(float r, float s, float a) {
+        return ${m.height};
+    }
+    float potential_${m.id}_d1(float r, float s, float a) {
+        return ${m.d1};
+    }
+    float potential_${m.id}_d2(float r, float s, float a) {
+        return ${m.d2};
+    }`).join('\n');
+
+    const segmentTest = segments.length > 0 ?
+        segments.map(m => `model == ${m.index}`).join(' || ') : 'false';
+
+    const dispatch = (suffix) => list.map(m =>
+        `        if (model == ${m.index}) return potential_${m.id}${suffix}(r, s, a);`
+    ).join('\n');
+
+    return `
+    float segmentDistance(vec2 p, vec2 a, vec2 b) {
+        vec2 e = b - a;
+        float len2 = dot(e, e);
+        float t = len2 > 1e-6 ? clamp(dot(p - a, e) / len2, 0.0, 1.0) : 0.0;
+        return length(p - (a + t * e));
+    }
+
+    bool isSegmentModel(int model) {
+        return ${segmentTest};
+    }
+
+    float massDistance(int model, vec2 pos, vec2 a, vec2 b) {
+        if (isSegmentModel(model)) return segmentDistance(pos, a, b);
+        return length(pos - a);
+    }
+
+    // Comme massOffset en JavaScript : curved est faux à l'intérieur d'un segment
+    vec2 massOffset(int model, vec2 pos, vec2 a, vec2 b, out bool curved) {
+        curved = true;
+        if (!isSegmentModel(model)) return pos - a;
+
+        vec2 e = b - a;
+        float len2 = dot(e, e);
+        float t = len2 > 1e-6 ? clamp(dot(pos - a, e) / len2, 0.0, 1.0) : 0.0;
+        curved = t <= 0.0 || t >= 1.0;
+        return pos - (a + t * e);
+    }
+${functions}
+
+    float massHeight(int model, float r, float s, float a) {
+${dispatch('')}
+        return 0.0;
+    }
+
+    float massD1(int model, float r, float s, float a) {
+${dispatch('_d1')}
+        return 0.0;
+    }
+
+    float massD2(int model, float r, float s, float a) {
+${dispatch('_d2')}
+        return 0.0;
+    }
+`;
+}
@@ -7,78 +7,179 @@ import {
     mat4Perspective,
     mat4LookAt,
     mat4Identity,
-    normalize,
-    rotateVectorAroundAxis,
-    degToRad
+    mat4Multiply,
+    mat4Invert,
+    mat4TransformPoint,
+    normalize
 } from './math.js';
+import { gravitationalHeight, computeHeightDerivatives } from './physics.js';
+import { getPotentialModel, massScale, generatePotentialGLSL } from './potentials.js';
+import { OrbitCamera } from './camera.js';
+import { ObstacleType } from './obstacles.js';
+
+// ===== DONNÉES DES MASSES =====
+// Deux vec4 par masse : (x, y, x2, y2) puis (force, échelle, modèle, 0).
+// Stockés dans une texture flottante massCapacity × 2 lue par les shaders.
+// La boucle GLSL doit avoir une borne constante : quand un niveau dépasse la
+// capacité, le programme de surface est recompilé avec une capacité double,
+// jusqu'à la taille de texture maximale du matériel (maxMassCount).
+// Sans textures flottantes lisibles au vertex shader, repli sur un tableau
+// d'uniforms de taille fixe, limité par le nombre de vecteurs d'uniforms.
+// Au-delà de maxMassCount, les masses en trop ne sont pas affichées :
+// c'est à l'appelant d'avertir le joueur.
+
+const INITIAL_MASS_CAPACITY = 16;
+
+// Vecteurs d'uniforms réservés aux autres paramètres (matrices, lumière...)
+const RESERVED_UNIFORM_VECTORS = 24;
+
+const MassStorage = {
+    TEXTURE: 'texture',
+    UNIFORMS: 'uniforms'
+};
+
+// Déclarations GLSL communes : MAX_MASSES et massRow(i, ligne). Précision
+// explicite : un uniform partagé doit l'avoir identique dans les deux
+// shaders, et le vertex shader est en highp
+function massDataGLSL(storage, capacity) {
+    if (storage === MassStorage.TEXTURE) {
+        return `
+    #define MAX_MASSES ${capacity}
+    uniform sampler2D uMassData;
+    uniform mediump int uMassCount;
+
+    vec4 massRow(int i, int row) {
+        vec2 uv = vec2((float(i) + 0.5) / float(MAX_MASSES), (float(row) + 0.5) / 2.0);
+        return texture2D(uMassData, uv);
+    }
+`;
+    }
+
+    // Indexation par l'indice de boucle : autorisée aussi en fragment shader
+    return `
+    #define MAX_MASSES ${capacity}
+    uniform mediump vec4 uMassData[${capacity * 2}];
+    uniform mediump int uMassCount;
+
+    #define massRow(i, row) uMassData[(i) * 2 + (row)]
+`;
+}
+
+// ===== SURCOUCHES =====
+// Mode de coloration de la surface, pour visualiser le champ :
+//   CURVATURE   courbure de Gauss K (mêmes formules analytiques que
+//               computeGaussianCurvature, en highp dans le vertex shader)
+//   CONTOURS    lignes de niveau de la hauteur
+//   FORCE       flèches de la gravité effective (−∇h), tracées sur la surface
+//   SENSITIVITY carte de sensibilité à la direction de tir (voir sensitivity.js)
+//   NORMALS     normales en couleur (débogage)
+
+export const OverlayMode = {
+    NONE: 'none',
+    CURVATURE: 'curvature',
+    CONTOURS: 'contours',
+    FORCE: 'force',
+    SENSITIVITY: 'sensitivity',
+    NORMALS: 'normals'
+};
+
+// Code de chaque mode dans le shader : son rang dans OverlayMode
+const OVERLAY_CODES = Object.values(OverlayMode);
+const overlayGLSL = OVERLAY_CODES
+    .map((mode, i) => `#define OVERLAY_${mode.toUpperCase()} ${i}`)
+    .join('\n    ');
+
+// Courbure : K / (|K| + CURVATURE_SCALE) donne une teinte dans [-1, 1]
+export const CURVATURE_SCALE = 0.2;
+
+// Écart de hauteur entre deux lignes de niveau ; une sur CONTOUR_MAJOR est épaisse
+export const CONTOUR_STEP = 0.25;
+export const CONTOUR_MAJOR = 4;
+
+// Flèches de force : une tous les FORCE_SPACING, longueur saturée à FORCE_MAX_LENGTH
+const FORCE_SPACING = 0.5;
+const FORCE_MAX_LENGTH = 0.4;
+const FORCE_SATURATION = 2;        // Intensité donnant 63 % de la longueur maximale
+const FORCE_HEAD = 0.3;            // Pointe, en fraction de la longueur
+const FORCE_COLOR = [0.9, 0.95, 1.0];
+const GRAVITY_STRENGTH = 2;        // Facteur de la gravité effective (physics.js)
+
+// Sensibilité : amplification log2 affichée de SENSITIVITY_MIN à SENSITIVITY_MAX
+export const SENSITIVITY_MIN = -1;
+export const SENSITIVITY_MAX = 4;
 
 // ===== SHADERS =====
+// Les fonctions de potentiel (massDistance, massHeight) sont générées depuis
+// le registre de potentials.js à la création du renderer
 
-const vertexShaderSource = `
-    precision mediump float;
-    precision mediump int;
+const vertexShaderSource = (potentialGLSL, massGLSL) => `
+    precision highp float;
+    precision highp int;
     
     attribute vec3 aPosition;
     
     uniform mat4 uProjectionMatrix;
     uniform mat4 uViewMatrix;
     uniform mat4 uModelMatrix;
-    uniform vec2 uMasses[8];
-    uniform float uMassStrengths[8];
-    uniform int uMassCount;
-    
+    ${massGLSL}
     varying vec3 vWorldPos;
     varying vec2 vGridPos;
     varying vec3 vNormal;
     varying float vCurvature;
-    
-    float gravitationalHeight(vec2 pos) {
-        float height = 0.0;
+    varying float vGaussian;
+    varying vec2 vGradient;
+    ${potentialGLSL}
+    // Dérivées analytiques (mêmes formules que computeHeightDerivativesFor) :
+    // hauteur z, gradient (hx, hy) et dérivées secondes (hxx, hyy, hxy)
+    void heightDerivatives(vec2 pos, out float z, out vec2 grad, out vec3 second) {
+        z = 0.0;
+        grad = vec2(0.0);
+        second = vec3(0.0);
         
-        for (int i = 0; i < 8; i++) {
+        for (int i = 0; i < MAX_MASSES; i++) {
             if (i >= uMassCount) break;
-            float dist = length(pos - uMasses[i]);
-            height -= uMassStrengths[i] / (dist + 0.5);
+            vec4 ends = massRow(i, 0);
+            vec4 params = massRow(i, 1);
+            int model = int(params.z + 0.5);
+            
+            bool curved;
+            vec2 offset = massOffset(model, pos, ends.xy, ends.zw, curved);
+            float r = length(offset);
+            z += massHeight(model, r, params.x, params.y);
+            
+            // Au centre exact, la direction (et donc les dérivées) n'est pas définie
+            if (r < 1e-6) continue;
+            
+            float d1 = massD1(model, r, params.x, params.y);
+            float d2 = massD2(model, r, params.x, params.y);
+            vec2 u = offset / r;
+            float d1r = curved ? d1 / r : 0.0;
+            
+            grad += d1 * u;
+            second += vec3(
+                d2 * u.x * u.x + d1r * (1.0 - u.x * u.x),
+                d2 * u.y * u.y + d1r * (1.0 - u.y * u.y),
+                (d2 - d1r) * u.x * u.y
+            );
         }
-        
-        return height;
-    }
-    
-    vec3 computeNormal(vec2 pos) {
-        float eps = 0.01;
-        float z0 = gravitationalHeight(pos);
-        float zx = gravitationalHeight(pos + vec2(eps, 0.0));
-        float zy = gravitationalHeight(pos + vec2(0.0, eps));
-        
-        float dzdx = (zx - z0) / eps;
-        float dzdy = (zy - z0) / eps;
-        
-        vec3 tangentX = vec3(1.0, 0.0, dzdx);
-        vec3 tangentY = vec3(0.0, 1.0, dzdy);
-        
-        return normalize(cross(tangentX, tangentY));
-    }
-    
-    float computeCurvature(vec2 pos) {
-        float eps = 0.05;
-        float z0 = gravitationalHeight(pos);
-        float zxx = gravitationalHeight(pos + vec2(eps, 0.0)) 
-                  - 2.0*z0 
-                  + gravitationalHeight(pos - vec2(eps, 0.0));
-        float zyy = gravitationalHeight(pos + vec2(0.0, eps)) 
-                  - 2.0*z0 
-                  + gravitationalHeight(pos - vec2(0.0, eps));
-        
-        return abs(zxx + zyy) / (eps * eps);
     }
     
     void main() {
         vec2 pos2D = aPosition.xy;
         vGridPos = pos2D;
         
-        float z = gravitationalHeight(pos2D);
-        vNormal = computeNormal(pos2D);
-        vCurvature = computeCurvature(pos2D);
+        float z;
+        vec2 grad;
+        vec3 second;
+        heightDerivatives(pos2D, z, grad, second);
+        
+        vNormal = normalize(vec3(-grad, 1.0));
+        vGradient = grad;
+        vCurvature = abs(second.x + second.y);
+        
+        // Courbure de Gauss de la surface z = h(x, y)
+        float denom = 1.0 + dot(grad, grad);
+        vGaussian = (second.x * second.y - second.z * second.z) / (denom * denom);
         
         vec3 position3D = vec3(pos2D.x, pos2D.y, z);
         
@@ -89,7 +190,7 @@ const vertexShaderSource = `
     }
 `;
 
-const fragmentShaderSource = `
+const fragmentShaderSource = (potentialGLSL, massGLSL) => `
     precision mediump float;
     precision mediump int;
     
@@ -97,16 +198,74 @@ const fragmentShaderSource = `
     varying vec2 vGridPos;
     varying vec3 vNormal;
     varying float vCurvature;
+    varying float vGaussian;
+    varying vec2 vGradient;
+    
+    ${overlayGLSL}
     
     uniform float uGridSize;
     uniform vec3 uLightPos;
     uniform vec3 uCameraPos;
-    uniform bool uShowNormals;
-    uniform vec2 uMasses[8];
-    uniform int uMassCount;
+    uniform int uOverlay;
+    uniform sampler2D uSensitivityMap;
+    uniform vec4 uSensitivityRect;   // minX, minY, largeur, hauteur
+    uniform bool uHasSensitivity;
+    ${massGLSL}
     uniform vec2 uGoalPos;
     uniform float uGoalRadius;
     uniform vec2 uStartPos;
+    uniform int uSelectedMass;
+    uniform float uTime;
+    ${potentialGLSL}
+    // Dégradé divergent : bleu (-1), blanc (0), rouge (1)
+    vec3 divergingColor(float t) {
+        vec3 white = vec3(0.92);
+        return t < 0.0
+            ? mix(white, vec3(0.15, 0.35, 0.9), -t)
+            : mix(white, vec3(0.9, 0.2, 0.15), t);
+    }
+    
+    // Dégradé de chaleur : bleu, vert, jaune, rouge
+    vec3 heatColor(float t) {
+        vec3 c = mix(vec3(0.1, 0.25, 0.8), vec3(0.2, 0.75, 0.35), smoothstep(0.0, 0.33, t));
+        c = mix(c, vec3(0.95, 0.85, 0.2), smoothstep(0.33, 0.66, t));
+        return mix(c, vec3(0.9, 0.15, 0.1), smoothstep(0.66, 1.0, t));
+    }
+    
+    vec3 overlayColor(vec3 baseColor) {
+        if (uOverlay == OVERLAY_CURVATURE) {
+            return divergingColor(vGaussian / (abs(vGaussian) + ${CURVATURE_SCALE.toFixed(3)}));
+        }
+        
+        if (uOverlay == OVERLAY_CONTOURS) {
+            // Distance à la ligne de niveau la plus proche, en unités du plan
+            float level = vWorldPos.z / ${CONTOUR_STEP.toFixed(3)};
+            float slope = max(length(vGradient), 0.05);
+            float dist = abs(fract(level + 0.5) - 0.5) * ${CONTOUR_STEP.toFixed(3)} / slope;
+            float major = abs(fract(level / ${CONTOUR_MAJOR.toFixed(1)} + 0.5) - 0.5) * ${CONTOUR_MAJOR.toFixed(1)} < 0.5 ? 1.0 : 0.0;
+            float width = mix(0.015, 0.035, major);
+            float line = 1.0 - smoothstep(width, width * 1.8, dist);
+            vec3 tint = mix(vec3(0.1, 0.2, 0.45), vec3(0.35, 0.55, 0.5), clamp(vWorldPos.z * 0.5 + 0.5, 0.0, 1.0));
+            return mix(tint, vec3(0.95), line);
+        }
+        
+        if (uOverlay == OVERLAY_FORCE) {
+            // Fond selon l'intensité ; les flèches sont tracées par-dessus
+            float intensity = length(vGradient) * ${GRAVITY_STRENGTH.toFixed(1)};
+            return mix(vec3(0.12, 0.16, 0.28), vec3(0.45, 0.3, 0.55), 1.0 - exp(-intensity / ${FORCE_SATURATION.toFixed(1)}));
+        }
+        
+        if (uOverlay == OVERLAY_SENSITIVITY && uHasSensitivity) {
+            vec2 uv = (vGridPos - uSensitivityRect.xy) / uSensitivityRect.zw;
+            vec4 cell = texture2D(uSensitivityMap, uv);
+            // Alpha : part des cases voisines atteintes par un tir ; la valeur
+            // est prémultipliée pour ne pas tirer les bords vers 0
+            float value = cell.a > 0.0 ? cell.r / cell.a : 0.0;
+            return mix(baseColor * 0.5, heatColor(value), cell.a);
+        }
+        
+        return baseColor;
+    }
     
     void main() {
         vec2 grid = fract(vGridPos / uGridSize);
@@ -114,7 +273,7 @@ const fragmentShaderSource = `
         
         vec3 baseColor = vec3(0.15, 0.2, 0.35);
         
-        if (uShowNormals) {
+        if (uOverlay == OVERLAY_NORMALS) {
             gl_FragColor = vec4(vNormal * 0.5 + 0.5, 1.0);
             return;
         }
@@ -138,13 +297,23 @@ const fragmentShaderSource = `
             vec3(0.6, 0.2, 0.3),
             curvatureIntensity
         );
+        baseColor = overlayColor(baseColor);
         
-        // Marquer les masses
-        for (int i = 0; i < 8; i++) {
+        // Marquer les masses (puits en jaune, collines et crêtes en rouge)
+        for (int i = 0; i < MAX_MASSES; i++) {
             if (i >= uMassCount) break;
-            float distToMass = length(vGridPos - uMasses[i]);
-            if (distToMass < 0.2) {
-                baseColor = vec3(1.0, 0.8, 0.2);
+            vec4 ends = massRow(i, 0);
+            vec4 params = massRow(i, 1);
+            int model = int(params.z + 0.5);
+            float distToMass = massDistance(model, vGridPos, ends.xy, ends.zw);
+            float markRadius = isSegmentModel(model) ? 0.08 : 0.2;
+            if (distToMass < markRadius) {
+                baseColor = params.x >= 0.0 ? vec3(1.0, 0.8, 0.2) : vec3(0.95, 0.35, 0.3);
+            }
+            
+            // Anneau autour de la masse sélectionnée (éditeur)
+            if (i == uSelectedMass && distToMass > markRadius + 0.04 && distToMass < markRadius + 0.1) {
+                baseColor = vec3(1.0);
             }
         }
         
@@ -157,7 +326,7 @@ const fragmentShaderSource = `
         // Zone d'arrivée (portail bleu)
         float distToGoal = length(vGridPos - uGoalPos);
         if (distToGoal < uGoalRadius) {
-            float pulse = sin(vWorldPos.x * 10.0 + vWorldPos.y * 10.0) * 0.5 + 0.5;
+            float pulse = sin(vWorldPos.x * 10.0 + vWorldPos.y * 10.0 - uTime * 4.0) * 0.5 + 0.5;
             baseColor = mix(vec3(0.2, 0.5, 1.0), vec3(0.5, 0.8, 1.0), pulse);
         }
         
@@ -200,6 +369,189 @@ const lineFragmentShaderSource = `
     }
 `;
 
+// ===== OBJETS DE NIVEAU =====
+// Dessinés avec le programme des lignes, drapés sur la surface
+
+const OBJECT_LIFT = 0.05;          // Hauteur au-dessus de la surface
+const WALL_HEIGHT = 0.3;
+const CIRCLE_SEGMENTS = 48;
+const SEGMENT_STEP = 0.1;          // Pas d'échantillonnage le long d'un mur
+
+const OBJECT_COLORS = {
+    [ObstacleType.WALL]: [0.75, 0.85, 1.0],
+    [ObstacleType.ABSORBER]: [0.6, 0.1, 0.15],
+    [ObstacleType.BUMPER]: [1.0, 0.55, 0.15],
+    [ObstacleType.BOOSTER]: [0.3, 1.0, 0.5],
+    [ObstacleType.WORMHOLE]: [0.75, 0.4, 1.0]
+};
+
+// Point du dernier tir raté le plus proche du portail
+const MARKER_COLOR = [1.0, 0.3, 0.8];
+const MARKER_RADIUS = 0.12;
+
+// Faisceau de trajectoires (setTrajectoryBundle)
+const BUNDLE_ALPHA = 0.45;
+
+// Indices : flèche de direction et trajectoire fantôme
+const HINT_COLOR = [0.4, 0.9, 1.0];
+const HINT_ARROW_LENGTH = 1.2;
+const HINT_ARROW_HEAD = 0.25;
+
+// Sommets d'un cercle posé sur la surface (fan : centre en premier)
+function circleVertices(cx, cy, radius, heightFn, fan = false) {
+    const vertices = fan ? [cx, cy, heightFn(cx, cy) + OBJECT_LIFT] : [];
+    const count = fan ? CIRCLE_SEGMENTS + 1 : CIRCLE_SEGMENTS;
+    for (let i = 0; i < count; i++) {
+        const a = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+        const x = cx + Math.cos(a) * radius;
+        const y = cy + Math.sin(a) * radius;
+        vertices.push(x, y, heightFn(x, y) + OBJECT_LIFT);
+    }
+    return vertices;
+}
+
+// Flèche posée sur la surface depuis start, dans la direction angle (degrés)
+function arrowVertices(start, angle, heightFn) {
+    const a = angle * Math.PI / 180;
+    const dx = Math.cos(a);
+    const dy = Math.sin(a);
+    const steps = Math.ceil(HINT_ARROW_LENGTH / SEGMENT_STEP);
+    const at = (x, y) => [x, y, heightFn(x, y) + OBJECT_LIFT];
+
+    const shaft = [];
+    for (let i = 0; i <= steps; i++) {
+        const d = (i / steps) * HINT_ARROW_LENGTH;
+        shaft.push(...at(start.x + dx * d, start.y + dy * d));
+    }
+
+    const tipX = start.x + dx * HINT_ARROW_LENGTH;
+    const tipY = start.y + dy * HINT_ARROW_LENGTH;
+    const back = (side) => at(
+        tipX - HINT_ARROW_HEAD * (dx * Math.cos(0.5) - side * dy * Math.sin(0.5)),
+        tipY - HINT_ARROW_HEAD * (dy * Math.cos(0.5) + side * dx * Math.sin(0.5))
+    );
+    const head = [...back(1), ...at(tipX, tipY), ...back(-1)];
+
+    return { shaft, head };
+}
+
+// Flèche de la gravité effective en (x, y), en segments (gl.LINES) : tige
+// et pointe ; longueur croissante avec l'intensité, saturée
+function forceArrowVertices(x, y, heightFn, t) {
+    const { hx, hy } = computeHeightDerivatives(x, y, t);
+    const fx = -hx * GRAVITY_STRENGTH;
+    const fy = -hy * GRAVITY_STRENGTH;
+    const intensity = Math.hypot(fx, fy);
+    if (intensity < 1e-6) return [];
+
+    const length = FORCE_MAX_LENGTH * (1 - Math.exp(-intensity / FORCE_SATURATION));
+    const dx = fx / intensity;
+    const dy = fy / intensity;
+    const tipX = x + dx * length;
+    const tipY = y + dy * length;
+    const head = length * FORCE_HEAD;
+    const at = (px, py) => [px, py, heightFn(px, py) + OBJECT_LIFT];
+    const tip = at(tipX, tipY);
+    const back = (side) => at(
+        tipX - head * (dx * Math.cos(0.5) - side * dy * Math.sin(0.5)),
+        tipY - head * (dy * Math.cos(0.5) + side * dx * Math.sin(0.5))
+    );
+
+    return [...at(x, y), ...tip, ...tip, ...back(1), ...tip, ...back(-1)];
+}
+
+// Sommets d'une trajectoire, une bande par morceau (coupée aux vortex)
+function trajectoryStrips(points) {
+    const strips = [[]];
+    for (const p of points) {
+        if (p.jump) strips.push([]);
+        strips[strips.length - 1].push(p.x, p.y, p.z + OBJECT_LIFT);
+    }
+    return strips;
+}
+
+// Paroi verticale d'un mur : bande bas / haut, et arête supérieure
+function wallVertices(wall, heightFn) {
+    const length = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1);
+    const steps = Math.max(1, Math.ceil(length / SEGMENT_STEP));
+    const panel = [];
+    const edge = [];
+
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const x = wall.x1 + (wall.x2 - wall.x1) * t;
+        const y = wall.y1 + (wall.y2 - wall.y1) * t;
+        const z = heightFn(x, y);
+        panel.push(x, y, z, x, y, z + WALL_HEIGHT);
+        edge.push(x, y, z + WALL_HEIGHT);
+    }
+    return { panel, edge };
+}
+
+// ===== MAILLAGE =====
+// Grille sur les bounds du niveau, de resolution quads par unité. Avec
+// refine, les lignes se resserrent autour des masses fixes (puits raides) :
+// le maillage reste une grille produit dont seuls les espacements varient.
+// Les masses mobiles ne sont pas concernées, leur position change.
+
+export const MeshResolution = {
+    LOW: 5,
+    MEDIUM: 10,
+    HIGH: 20
+};
+
+const MESH_DEFAULTS = {
+    resolution: MeshResolution.MEDIUM,
+    refine: true
+};
+
+// Étendue utilisée avant le premier niveau
+const DEFAULT_MESH_BOUNDS = { minX: -5, maxX: 5, minY: -5, maxY: 5 };
+
+const REFINE_RADIUS = 1;            // Distance à une masse où la grille se resserre
+const REFINE_FACTOR = 4;            // Pas divisé près d'une masse
+export const MAX_UINT16_VERTICES = 65536;  // Sans OES_element_index_uint
+const MAX_MESH_VERTICES = 1 << 19;
+
+// Lignes de la grille sur [min, max] : pas step, divisé par REFINE_FACTOR
+// à moins de REFINE_RADIUS d'un intervalle de ranges ([a, b])
+function axisLines(min, max, step, ranges) {
+    const near = (v) => ranges.some(([a, b]) => v > a - REFINE_RADIUS && v < b + REFINE_RADIUS);
+    const lines = [min];
+
+    let v = min;
+    while (v < max) {
+        const local = near(v) || near(v + step) ? step / REFINE_FACTOR : step;
+        // Pas de dernière bande trop fine au bord
+        v = max - (v + local) < local / 2 ? max : v + local;
+        lines.push(v);
+    }
+    return lines;
+}
+
+// Lignes { xs, ys } du maillage, le pas étant élargi si besoin pour rester
+// sous maxVertices sommets
+function meshLines(bounds, masses, options, maxVertices) {
+    const fixed = options.refine ? masses.filter(m => !m.motion) : [];
+    const xRanges = fixed.map(m => [Math.min(m.x, m.x2 ?? m.x), Math.max(m.x, m.x2 ?? m.x)]);
+    const yRanges = fixed.map(m => [Math.min(m.y, m.y2 ?? m.y), Math.max(m.y, m.y2 ?? m.y)]);
+
+    let step = 1 / options.resolution;
+    for (;;) {
+        const xs = axisLines(bounds.minX, bounds.maxX, step, xRanges);
+        const ys = axisLines(bounds.minY, bounds.maxY, step, yRanges);
+        const count = xs.length * ys.length;
+        if (count <= maxVertices) return { xs, ys };
+        step *= Math.sqrt(count / maxVertices) * 1.05;
+    }
+}
+
+// ===== PICKING =====
+
+const PICK_MAX_STEP = 0.05;
+const PICK_MIN_SAMPLES = 200;
+const PICK_BISECTION_STEPS = 24;
+
 // ===== CLASSE RENDERER =====
 
 export class Renderer {
@@ -219,16 +571,18 @@ export class Renderer {
         this.initMesh();
         this.initLineBuffer();
 
-        this.camera = {
-            rotX: -33,
-            rotY: 0,
-            rotZ: 0,
-            distance: 18
-        };
+        this.camera = new OrbitCamera();
 
         this.light = { x: 5, y: 5, z: 10 };
         this.gridSize = 0.5;
-        this.showNormals = false;
+
+        // Surcouche de visualisation (voir OverlayMode)
+        this.overlay = OverlayMode.NONE;
+        this.sensitivityTexture = null;
+        this.sensitivityRect = null;
+
+        // Temps du champ affiché (masses mobiles), utilisé aussi par pick()
+        this.time = 0;
     }
 
     compileShader(source, type) {
@@ -262,24 +616,79 @@ export class Renderer {
         return program;
     }
 
-    initShaders() {
-        // Programme principal pour la surface
-        this.surfaceProgram = this.createProgram(vertexShaderSource, fragmentShaderSource);
+    // Texture flottante si le matériel la lit au vertex shader, sinon uniforms
+    initMassStorage() {
+        const gl = this.gl;
+        const floatTextures = gl.getExtension('OES_texture_float');
+        const vertexTextureUnits = gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS);
+
+        if (floatTextures && vertexTextureUnits > 0) {
+            this.massStorage = MassStorage.TEXTURE;
+            this.maxMassCount = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+            this.massCapacity = Math.min(INITIAL_MASS_CAPACITY, this.maxMassCount);
+
+            this.massTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.massTexture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        } else {
+            const vectors = Math.min(
+                gl.getParameter(gl.MAX_VERTEX_UNIFORM_VECTORS),
+                gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS)
+            );
+            this.massStorage = MassStorage.UNIFORMS;
+            this.maxMassCount = Math.max(1, Math.floor((vectors - RESERVED_UNIFORM_VECTORS) / 2));
+            this.massCapacity = this.maxMassCount;
+        }
+    }
+
+    // Programme de surface pour massCapacity masses
+    buildSurfaceProgram() {
+        if (this.surfaceProgram) this.gl.deleteProgram(this.surfaceProgram);
+
+        const massGLSL = massDataGLSL(this.massStorage, this.massCapacity);
+        this.surfaceProgram = this.createProgram(
+            vertexShaderSource(this.potentialGLSL, massGLSL),
+            fragmentShaderSource(this.potentialGLSL, massGLSL)
+        );
         this.surfaceUniforms = this.getUniforms(this.surfaceProgram, [
             'uProjectionMatrix', 'uViewMatrix', 'uModelMatrix',
-            'uGridSize', 'uLightPos', 'uCameraPos', 'uShowNormals',
-            'uMassCount', 'uGoalPos', 'uGoalRadius', 'uStartPos'
+            'uGridSize', 'uLightPos', 'uCameraPos', 'uOverlay',
+            'uSensitivityMap', 'uSensitivityRect', 'uHasSensitivity',
+            'uMassCount', 'uMassData', 'uGoalPos', 'uGoalRadius', 'uStartPos', 'uSelectedMass', 'uTime'
         ]);
-        
-        // Uniforms pour les masses (tableau)
-        const gl = this.gl;
-        gl.useProgram(this.surfaceProgram);
-        this.surfaceUniforms.uMasses = [];
-        this.surfaceUniforms.uMassStrengths = [];
-        for (let i = 0; i < 8; i++) {
-            this.surfaceUniforms.uMasses[i] = gl.getUniformLocation(this.surfaceProgram, `uMasses[${i}]`);
-            this.surfaceUniforms.uMassStrengths[i] = gl.getUniformLocation(this.surfaceProgram, `uMassStrengths[${i}]`);
+
+        // Texture complète ou tableau d'uniforms
+        this.massData = new Float32Array(this.massCapacity * 2 * 4);
+
+        // Texture allouée à la capacité, remplie à chaque image par uploadMasses
+        if (this.massStorage === MassStorage.TEXTURE) {
+            const gl = this.gl;
+            gl.bindTexture(gl.TEXTURE_2D, this.massTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.massCapacity, 2, 0, gl.RGBA, gl.FLOAT, null);
         }
+    }
+
+    // Recompile le programme de surface si count dépasse la capacité
+    // (texture uniquement, capacité doublée jusqu'à maxMassCount)
+    ensureMassCapacity(count) {
+        if (count <= this.massCapacity || this.massCapacity >= this.maxMassCount) return;
+
+        let capacity = this.massCapacity;
+        while (capacity < count) capacity *= 2;
+        this.massCapacity = Math.min(capacity, this.maxMassCount);
+        this.buildSurfaceProgram();
+    }
+
+    initShaders() {
+        this.initMassStorage();
+
+        // Programme principal pour la surface
+        this.potentialGLSL = generatePotentialGLSL();
+        this.surfaceProgram = null;
+        this.buildSurfaceProgram();
 
         // Programme pour les lignes (trajectoire)
         this.lineProgram = this.createProgram(lineVertexShaderSource, lineFragmentShaderSource);
@@ -288,6 +697,89 @@ export class Renderer {
         ]);
     }
 
+    // Remplit les données des masses (au plus massCapacity) pour le shader de surface
+    uploadMasses(masses) {
+        const gl = this.gl;
+        const count = Math.min(masses.length, this.massCapacity);
+        const data = this.massData;
+
+        for (let i = 0; i < count; i++) {
+            const mass = masses[i];
+            // Texture : ligne 0 puis ligne 1 ; uniforms : deux vec4 consécutifs
+            const ends = this.massStorage === MassStorage.TEXTURE ? i * 4 : i * 8;
+            const params = this.massStorage === MassStorage.TEXTURE ? (this.massCapacity + i) * 4 : i * 8 + 4;
+
+            data[ends] = mass.x;
+            data[ends + 1] = mass.y;
+            data[ends + 2] = mass.x2 ?? mass.x;
+            data[ends + 3] = mass.y2 ?? mass.y;
+            data[params] = mass.strength;
+            data[params + 1] = massScale(mass);
+            data[params + 2] = getPotentialModel(mass.model).index;
+            data[params + 3] = 0;
+        }
+
+        gl.uniform1i(this.surfaceUniforms.uMassCount, count);
+
+        if (this.massStorage === MassStorage.TEXTURE) {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, this.massTexture);
+            if (count > 0) {
+                // Seules les count premières colonnes de chaque ligne sont lues
+                const row1 = this.massCapacity * 4;
+                gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, count, 1, gl.RGBA, gl.FLOAT,
+                    data.subarray(0, count * 4));
+                gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 1, count, 1, gl.RGBA, gl.FLOAT,
+                    data.subarray(row1, row1 + count * 4));
+            }
+            gl.uniform1i(this.surfaceUniforms.uMassData, 0);
+        } else if (count > 0) {
+            gl.uniform4fv(this.surfaceUniforms.uMassData, data.subarray(0, count * 8));
+        }
+    }
+
+    setOverlay(mode) {
+        if (OVERLAY_CODES.includes(mode)) {
+            this.overlay = mode;
+        }
+    }
+
+    // Carte de computeSensitivityMap, ou null pour l'effacer. Texture
+    // luminance/alpha : valeur ramenée de [SENSITIVITY_MIN, SENSITIVITY_MAX]
+    // à [0, 1], alpha à 0 pour les cases qu'aucun tir n'atteint.
+    setSensitivityMap(map) {
+        const gl = this.gl;
+
+        if (!map) {
+            this.sensitivityRect = null;
+            return;
+        }
+
+        const texels = new Uint8Array(map.cols * map.rows * 2);
+        map.values.forEach((value, i) => {
+            if (value === null) return;
+            const t = (value - SENSITIVITY_MIN) / (SENSITIVITY_MAX - SENSITIVITY_MIN);
+            texels[i * 2] = Math.round(Math.min(Math.max(t, 0), 1) * 255);
+            texels[i * 2 + 1] = 255;
+        });
+
+        if (!this.sensitivityTexture) {
+            this.sensitivityTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.sensitivityTexture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.sensitivityTexture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE_ALPHA, map.cols, map.rows, 0,
+            gl.LUMINANCE_ALPHA, gl.UNSIGNED_BYTE, texels);
+
+        this.sensitivityRect = [map.minX, map.minY, map.cols * map.cellSize, map.rows * map.cellSize];
+    }
+
     getUniforms(program, names) {
         const uniforms = {};
         for (const name of names) {
@@ -298,51 +790,103 @@ export class Renderer {
 
     initMesh() {
         const gl = this.gl;
-        const width = 10, height = 10, resX = 100, resY = 100;
 
-        const vertices = [];
-        const indices = [];
+        // Indices 32 bits pour les grandes grilles, si le matériel les accepte
+        // (sinon maillage limité à MAX_UINT16_VERTICES sommets)
+        this.uintIndices = !!gl.getExtension('OES_element_index_uint');
+
+        this.vertexBuffer = gl.createBuffer();
+        this.indexBuffer = gl.createBuffer();
+        this.meshOptions = { ...MESH_DEFAULTS };
+        this.meshKey = null;
+
+        this.updateMesh(DEFAULT_MESH_BOUNDS, []);
+    }
+
+    // Réglages du maillage : { resolution?, refine? } (voir MESH_DEFAULTS)
+    setMeshOptions(options) {
+        this.meshOptions = { ...this.meshOptions, ...options };
+        this.meshKey = null;
+    }
 
-        for (let y = 0; y <= resY; y++) {
-            for (let x = 0; x <= resX; x++) {
-                vertices.push((x / resX - 0.5) * width);
-                vertices.push((y / resY - 0.5) * height);
-                vertices.push(0);
+    // Reconstruit le maillage si l'étendue, les réglages ou les masses fixes
+    // (avec refine) ont changé depuis le dernier appel
+    updateMesh(bounds, masses) {
+        const fixed = this.meshOptions.refine ? masses.filter(m => !m.motion) : [];
+        const key = JSON.stringify([
+            bounds, this.meshOptions,
+            fixed.map(m => [m.x, m.y, m.x2, m.y2])
+        ]);
+        if (key === this.meshKey) return;
+        this.meshKey = key;
+
+        const gl = this.gl;
+        const maxVertices = this.uintIndices ? MAX_MESH_VERTICES : MAX_UINT16_VERTICES;
+        const { xs, ys } = meshLines(bounds, masses, this.meshOptions, maxVertices);
+
+        // Étendue de la surface (utilisée pour le picking)
+        this.meshExtent = { ...bounds };
+
+        const vertices = new Float32Array(xs.length * ys.length * 3);
+        let v = 0;
+        for (const y of ys) {
+            for (const x of xs) {
+                vertices[v++] = x;
+                vertices[v++] = y;
+                vertices[v++] = 0;
             }
         }
 
-        for (let y = 0; y < resY; y++) {
-            for (let x = 0; x < resX; x++) {
-                const tl = y * (resX + 1) + x;
+        const quads = (xs.length - 1) * (ys.length - 1);
+        const IndexArray = xs.length * ys.length > MAX_UINT16_VERTICES ? Uint32Array : Uint16Array;
+        const indices = new IndexArray(quads * 6);
+        let k = 0;
+        for (let y = 0; y < ys.length - 1; y++) {
+            for (let x = 0; x < xs.length - 1; x++) {
+                const tl = y * xs.length + x;
                 const tr = tl + 1;
-                const bl = (y + 1) * (resX + 1) + x;
+                const bl = (y + 1) * xs.length + x;
                 const br = bl + 1;
-                indices.push(tl, bl, tr, tr, bl, br);
+                indices.set([tl, bl, tr, tr, bl, br], k);
+                k += 6;
             }
         }
 
-        this.vertexBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
 
-        this.indexBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
 
         this.indexCount = indices.length;
+        this.indexType = IndexArray === Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
     }
 
     initLineBuffer() {
         this.lineBuffer = this.gl.createBuffer();
+        this.objectBuffer = this.gl.createBuffer();
+        this.bundleBuffer = this.gl.createBuffer();
         this.trajectoryVertices = [];
+        this.trajectoryStrips = [];
+        this.bundleStrips = [];
     }
 
+    // La ligne est coupée aux points marqués jump (passage d'un vortex)
     setTrajectory(points) {
         const gl = this.gl;
         this.trajectoryVertices = [];
+        this.trajectoryStrips = [];
 
-        for (const p of points) {
+        let stripStart = 0;
+        points.forEach((p, i) => {
+            if (p.jump && i > stripStart) {
+                this.trajectoryStrips.push([stripStart, i - stripStart]);
+                stripStart = i;
+            }
             this.trajectoryVertices.push(p.x, p.y, p.z + 0.05); // Légèrement au-dessus
+        });
+        if (points.length > stripStart) {
+            this.trajectoryStrips.push([stripStart, points.length - stripStart]);
         }
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
@@ -350,41 +894,267 @@ export class Renderer {
         this.trajectoryPointCount = points.length;
     }
 
+    // Faisceau de trajectoires secondaires, chacune de sa couleur :
+    // lines : [{ points, color: [r, g, b] }] ; coupées aux vortex comme
+    // la trajectoire principale
+    setTrajectoryBundle(lines) {
+        const gl = this.gl;
+        const vertices = [];
+        this.bundleStrips = [];
+
+        for (const { points, color } of lines) {
+            for (const strip of trajectoryStrips(points)) {
+                const first = vertices.length / 3;
+                vertices.push(...strip);
+                this.bundleStrips.push({ first, count: strip.length / 3, color });
+            }
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.bundleBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.DYNAMIC_DRAW);
+    }
+
+    // Une primitive du programme des lignes, depuis un tableau de sommets
+    drawPrimitive(mode, vertices, color, alpha) {
+        const gl = this.gl;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.objectBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.DYNAMIC_DRAW);
+
+        const posLoc = gl.getAttribLocation(this.lineProgram, 'aPosition');
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 0, 0);
+
+        gl.uniform3fv(this.lineUniforms.uColor, color);
+        gl.uniform1f(this.lineUniforms.uAlpha, alpha);
+        gl.drawArrays(mode, 0, vertices.length / 3);
+    }
+
+    drawObjects(objects, projection, view) {
+        if (objects.length === 0) return;
+
+        const gl = this.gl;
+        const heightFn = (x, y) => gravitationalHeight(x, y, this.time);
+
+        gl.useProgram(this.lineProgram);
+        gl.uniformMatrix4fv(this.lineUniforms.uProjectionMatrix, false, projection);
+        gl.uniformMatrix4fv(this.lineUniforms.uViewMatrix, false, view);
+
+        for (const object of objects) {
+            const color = OBJECT_COLORS[object.type];
+            if (!color) continue;
+
+            switch (object.type) {
+                case ObstacleType.WALL: {
+                    const { panel, edge } = wallVertices(object, heightFn);
+                    this.drawPrimitive(gl.TRIANGLE_STRIP, panel, color, 0.35);
+                    this.drawPrimitive(gl.LINE_STRIP, edge, color, 1.0);
+                    break;
+                }
+                case ObstacleType.ABSORBER:
+                    this.drawPrimitive(gl.TRIANGLE_FAN,
+                        circleVertices(object.x, object.y, object.radius, heightFn, true), [0, 0, 0], 0.85);
+                    this.drawPrimitive(gl.LINE_LOOP,
+                        circleVertices(object.x, object.y, object.radius, heightFn), color, 1.0);
+                    break;
+                case ObstacleType.BUMPER:
+                case ObstacleType.BOOSTER:
+                    // Double anneau
+                    this.drawPrimitive(gl.LINE_LOOP,
+                        circleVertices(object.x, object.y, object.radius, heightFn), color, 1.0);
+                    this.drawPrimitive(gl.LINE_LOOP,
+                        circleVertices(object.x, object.y, object.radius * 0.6, heightFn), color, 0.6);
+                    break;
+                case ObstacleType.WORMHOLE:
+                    for (const mouth of [object.a, object.b]) {
+                        this.drawPrimitive(gl.TRIANGLE_FAN,
+                            circleVertices(mouth.x, mouth.y, object.radius, heightFn, true), color, 0.3);
+                        this.drawPrimitive(gl.LINE_LOOP,
+                            circleVertices(mouth.x, mouth.y, object.radius, heightFn), color, 1.0);
+                    }
+                    break;
+            }
+        }
+    }
+
+    // hint : { tier, start, roughAngle, points } (voir hints.js)
+    drawHint(hint, projection, view) {
+        const gl = this.gl;
+        const heightFn = (x, y) => gravitationalHeight(x, y, this.time);
+
+        gl.useProgram(this.lineProgram);
+        gl.uniformMatrix4fv(this.lineUniforms.uProjectionMatrix, false, projection);
+        gl.uniformMatrix4fv(this.lineUniforms.uViewMatrix, false, view);
+
+        const { shaft, head } = arrowVertices(hint.start, hint.roughAngle, heightFn);
+        this.drawPrimitive(gl.LINE_STRIP, shaft, HINT_COLOR, 0.9);
+        this.drawPrimitive(gl.LINE_STRIP, head, HINT_COLOR, 0.9);
+
+        // À partir du palier fantôme (HintTier.GHOST)
+        if (hint.tier >= 2) {
+            for (const strip of trajectoryStrips(hint.points)) {
+                if (strip.length > 3) this.drawPrimitive(gl.LINE_STRIP, strip, HINT_COLOR, 0.35);
+            }
+        }
+    }
+
+    // Flèches de la gravité effective sur une grille régulière de bounds
+    drawForceField(bounds, projection, view) {
+        const gl = this.gl;
+        const heightFn = (x, y) => gravitationalHeight(x, y, this.time);
+
+        gl.useProgram(this.lineProgram);
+        gl.uniformMatrix4fv(this.lineUniforms.uProjectionMatrix, false, projection);
+        gl.uniformMatrix4fv(this.lineUniforms.uViewMatrix, false, view);
+
+        const vertices = [];
+        for (let y = bounds.minY + FORCE_SPACING / 2; y < bounds.maxY; y += FORCE_SPACING) {
+            for (let x = bounds.minX + FORCE_SPACING / 2; x < bounds.maxX; x += FORCE_SPACING) {
+                vertices.push(...forceArrowVertices(x, y, heightFn, this.time));
+            }
+        }
+        this.drawPrimitive(gl.LINES, vertices, FORCE_COLOR, 0.85);
+    }
+
+    drawMarker(marker, projection, view) {
+        const gl = this.gl;
+        const heightFn = (x, y) => gravitationalHeight(x, y, this.time);
+
+        gl.useProgram(this.lineProgram);
+        gl.uniformMatrix4fv(this.lineUniforms.uProjectionMatrix, false, projection);
+        gl.uniformMatrix4fv(this.lineUniforms.uViewMatrix, false, view);
+
+        this.drawPrimitive(gl.LINE_LOOP,
+            circleVertices(marker.x, marker.y, MARKER_RADIUS, heightFn), MARKER_COLOR, 1.0);
+        this.drawPrimitive(gl.POINTS,
+            [marker.x, marker.y, heightFn(marker.x, marker.y) + OBJECT_LIFT], MARKER_COLOR, 1.0);
+    }
+
     getCameraPosition() {
-        const radX = degToRad(this.camera.rotX);
-        const radY = degToRad(this.camera.rotY);
+        return this.camera.getEye();
+    }
+
+    computeMatrices() {
+        const aspect = this.canvas.width / this.canvas.height;
+        const projection = mat4Perspective(Math.PI / 4, aspect, 0.1, 100);
+
+        const eye = this.getCameraPosition();
+        const view = mat4LookAt(eye, this.camera.getViewTarget(), this.camera.getViewUp());
+
+        return { projection, view, eye };
+    }
+
+    // ===== PROJECTION INVERSE (écran -> monde) =====
+
+    // Rayon monde passant par un point écran (coordonnées client du DOM)
+    unproject(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
+        const ndcY = 1 - ((clientY - rect.top) / rect.height) * 2;
+
+        const { projection, view, eye } = this.computeMatrices();
+        const inverse = mat4Invert(mat4Multiply(projection, view));
+        if (!inverse) return null;
+
+        const far = mat4TransformPoint(inverse, [ndcX, ndcY, 1]);
+        const direction = normalize([far[0] - eye[0], far[1] - eye[1], far[2] - eye[2]]);
+
+        return { origin: eye, direction };
+    }
+
+    // Intersection du rayon écran avec le plan z = planeZ
+    screenToPlane(clientX, clientY, planeZ = 0) {
+        const ray = this.unproject(clientX, clientY);
+        if (!ray || Math.abs(ray.direction[2]) < 1e-6) return null;
+
+        const t = (planeZ - ray.origin[2]) / ray.direction[2];
+        if (t < 0) return null;
+
+        return {
+            x: ray.origin[0] + ray.direction[0] * t,
+            y: ray.origin[1] + ray.direction[1] * t,
+            z: planeZ
+        };
+    }
+
+    // Point de la surface gravitationnelle sous le curseur, ou null.
+    // Le rayon est découpé à l'étendue du maillage, parcouru par pas fixes
+    // jusqu'à passer sous la surface, puis affiné par dichotomie.
+    pick(clientX, clientY, heightFn = (x, y) => gravitationalHeight(x, y, this.time)) {
+        const ray = this.unproject(clientX, clientY);
+        if (!ray) return null;
+
+        const [ox, oy, oz] = ray.origin;
+        const [dx, dy, dz] = ray.direction;
+        const ext = this.meshExtent;
+
+        // Intervalle [tMin, tMax] où le rayon survole le maillage (méthode des slabs)
+        let tMin = 0;
+        let tMax = 100;
+        for (const [o, d, min, max] of [[ox, dx, ext.minX, ext.maxX], [oy, dy, ext.minY, ext.maxY]]) {
+            if (Math.abs(d) < 1e-9) {
+                if (o < min || o > max) return null;
+                continue;
+            }
+            const t1 = (min - o) / d;
+            const t2 = (max - o) / d;
+            tMin = Math.max(tMin, Math.min(t1, t2));
+            tMax = Math.min(tMax, Math.max(t1, t2));
+        }
+        if (tMin > tMax) return null;
+
+        // Écart signé rayon/surface : positif au-dessus, négatif en dessous
+        const gap = (t) => (oz + dz * t) - heightFn(ox + dx * t, oy + dy * t);
+
+        const step = Math.min(PICK_MAX_STEP, (tMax - tMin) / PICK_MIN_SAMPLES);
+        let t0 = tMin;
+        let g0 = gap(t0);
+        if (g0 < 0) return null; // Caméra sous la surface
 
-        return [
-            this.camera.distance * Math.sin(radY) * Math.cos(radX),
-            this.camera.distance * Math.sin(radX),
-            this.camera.distance * Math.cos(radY) * Math.cos(radX)
-        ];
+        for (let t1 = tMin + step; t1 <= tMax + step; t1 += step) {
+            const tEnd = Math.min(t1, tMax);
+            const g1 = gap(tEnd);
+
+            if (g1 <= 0) {
+                // Changement de signe : dichotomie sur [t0, tEnd]
+                let lo = t0, hi = tEnd;
+                for (let i = 0; i < PICK_BISECTION_STEPS; i++) {
+                    const mid = (lo + hi) / 2;
+                    if (gap(mid) > 0) lo = mid;
+                    else hi = mid;
+                }
+                const t = (lo + hi) / 2;
+                const x = ox + dx * t;
+                const y = oy + dy * t;
+                return { x, y, z: heightFn(x, y) };
+            }
+
+            t0 = tEnd;
+            g0 = g1;
+            if (tEnd >= tMax) break;
+        }
+
+        return null;
     }
 
     render(gameState) {
         const gl = this.gl;
-        const { masses, goalPos, goalRadius, startPos, projectilePos } = gameState;
+        const {
+            masses, bounds = DEFAULT_MESH_BOUNDS, goalPos, goalRadius, startPos, projectilePos,
+            objects = [], marker = null, hint = null, selectedMass = -1, time = 0
+        } = gameState;
+        this.time = time;
 
         gl.viewport(0, 0, this.canvas.width, this.canvas.height);
         gl.clearColor(0.05, 0.05, 0.1, 1);
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-        const aspect = this.canvas.width / this.canvas.height;
-        const projection = mat4Perspective(Math.PI / 4, aspect, 0.1, 100);
-        
-        const eye = this.getCameraPosition();
-        const radZ = degToRad(this.camera.rotZ);
-        let upVector = [0, 1, 0];
-        
-        if (radZ !== 0) {
-            const viewDir = normalize([-eye[0], -eye[1], -eye[2]]);
-            upVector = rotateVectorAroundAxis(upVector, viewDir, radZ);
-        }
-        
-        const view = mat4LookAt(eye, [0, 0, 0], upVector);
+        const { projection, view, eye } = this.computeMatrices();
         const model = mat4Identity();
 
         // === Rendu de la surface ===
+        this.updateMesh(bounds, masses);
+        this.ensureMassCapacity(masses.length);
         gl.useProgram(this.surfaceProgram);
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
@@ -399,21 +1169,48 @@ export class Renderer {
         gl.uniform1f(this.surfaceUniforms.uGridSize, this.gridSize);
         gl.uniform3f(this.surfaceUniforms.uLightPos, this.light.x, this.light.y, this.light.z);
         gl.uniform3fv(this.surfaceUniforms.uCameraPos, eye);
-        gl.uniform1i(this.surfaceUniforms.uShowNormals, this.showNormals ? 1 : 0);
 
-        // Masses
-        gl.uniform1i(this.surfaceUniforms.uMassCount, masses.length);
-        for (let i = 0; i < masses.length && i < 8; i++) {
-            gl.uniform2f(this.surfaceUniforms.uMasses[i], masses[i].x, masses[i].y);
-            gl.uniform1f(this.surfaceUniforms.uMassStrengths[i], masses[i].strength);
+        // Surcouche
+        gl.uniform1i(this.surfaceUniforms.uOverlay, OVERLAY_CODES.indexOf(this.overlay));
+        gl.uniform1i(this.surfaceUniforms.uHasSensitivity, this.sensitivityRect ? 1 : 0);
+        if (this.sensitivityRect) {
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this.sensitivityTexture);
+            gl.uniform1i(this.surfaceUniforms.uSensitivityMap, 1);
+            gl.uniform4fv(this.surfaceUniforms.uSensitivityRect, this.sensitivityRect);
         }
 
+        // Masses
+        this.uploadMasses(masses);
+
         // Objectif et départ
         gl.uniform2f(this.surfaceUniforms.uGoalPos, goalPos.x, goalPos.y);
         gl.uniform1f(this.surfaceUniforms.uGoalRadius, goalRadius);
         gl.uniform2f(this.surfaceUniforms.uStartPos, startPos.x, startPos.y);
+        gl.uniform1i(this.surfaceUniforms.uSelectedMass, selectedMass);
+        gl.uniform1f(this.surfaceUniforms.uTime, time);
+
+        gl.drawElements(gl.TRIANGLES, this.indexCount, this.indexType, 0);
 
-        gl.drawElements(gl.TRIANGLES, this.indexCount, gl.UNSIGNED_SHORT, 0);
+        // === Faisceau de trajectoires (sous la trajectoire principale) ===
+        if (this.bundleStrips.length > 0) {
+            gl.useProgram(this.lineProgram);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.bundleBuffer);
+            const bundlePosLoc = gl.getAttribLocation(this.lineProgram, 'aPosition');
+            gl.enableVertexAttribArray(bundlePosLoc);
+            gl.vertexAttribPointer(bundlePosLoc, 3, gl.FLOAT, false, 0, 0);
+
+            gl.uniformMatrix4fv(this.lineUniforms.uProjectionMatrix, false, projection);
+            gl.uniformMatrix4fv(this.lineUniforms.uViewMatrix, false, view);
+            gl.uniform1f(this.lineUniforms.uAlpha, BUNDLE_ALPHA);
+
+            for (const { first, count, color } of this.bundleStrips) {
+                if (count < 2) continue;
+                gl.uniform3fv(this.lineUniforms.uColor, color);
+                gl.drawArrays(gl.LINE_STRIP, first, count);
+            }
+        }
 
         // === Rendu de la trajectoire ===
         if (this.trajectoryPointCount > 1) {
@@ -429,7 +1226,27 @@ export class Renderer {
             gl.uniform3f(this.lineUniforms.uColor, 1.0, 0.9, 0.3);
             gl.uniform1f(this.lineUniforms.uAlpha, 0.8);
 
-            gl.drawArrays(gl.LINE_STRIP, 0, this.trajectoryPointCount);
+            for (const [first, count] of this.trajectoryStrips) {
+                if (count > 1) gl.drawArrays(gl.LINE_STRIP, first, count);
+            }
+        }
+
+        // === Champ de force ===
+        if (this.overlay === OverlayMode.FORCE) {
+            this.drawForceField(bounds, projection, view);
+        }
+
+        // === Rendu des objets du niveau ===
+        this.drawObjects(objects, projection, view);
+
+        // === Indice ===
+        if (hint) {
+            this.drawHint(hint, projection, view);
+        }
+
+        // === Marqueur d'approche la plus proche ===
+        if (marker) {
+            this.drawMarker(marker, projection, view);
         }
 
         // === Rendu du projectile ===
@@ -0,0 +1,100 @@
+/**
+ * Module Simulation
+ * Simulation d'un niveau sans état global ni DOM : utilisable depuis le jeu,
+ * un worker ou un script Node pour analyser des niveaux en lot
+ */
+
+import {
+    computeTrajectory,
+    gravitationalHeightFor,
+    computeHeightDerivativesFor,
+    curvatureFromDerivatives,
+    massesAtTime
+} from './physics.js';
+
+// ===== PARAMÈTRES DE TIR =====
+
+// Paramètres d'intégration d'un tir (aperçu, vol et replays)
+export const SHOT_OPTIONS = {
+    maxSteps: 2000,
+    dt: 0.01,
+    integrator: 'rk45',
+    tolerance: 1e-6
+};
+
+// Vitesse initiale pour un angle (degrés) et une puissance
+export function shotVelocity(angle, power) {
+    const radAngle = angle * Math.PI / 180;
+    return {
+        x: Math.cos(radAngle) * power,
+        y: Math.sin(radAngle) * power
+    };
+}
+
+// ===== SIMULATION =====
+// level : Level ou objet de même forme ({ masses, bounds, goalPos,
+// goalRadius, objects? }). Le niveau est lu à chaque appel, sans copie :
+// une masse modifiée dans l'éditeur est prise en compte au tir suivant.
+// options : remplace tout ou partie de SHOT_OPTIONS.
+//
+// Exemple (Node) :
+//   import { Simulation } from './js/engine/simulation.js';
+//   const sim = new Simulation(Level.fromJSON(text));
+//   sim.shoot(sim.level.startPos, 45, 3).reachedGoal
+
+export class Simulation {
+    constructor(level, options = {}) {
+        this.level = level;
+        this.options = { ...SHOT_OPTIONS, ...options };
+    }
+
+    // ===== CHAMP =====
+
+    massesAt(t = 0) {
+        return massesAtTime(this.level.masses, t);
+    }
+
+    heightAt(x, y, t = 0) {
+        return gravitationalHeightFor(this.level.masses, x, y, t);
+    }
+
+    derivativesAt(x, y, t = 0) {
+        return computeHeightDerivativesFor(this.level.masses, x, y, t);
+    }
+
+    curvatureAt(x, y, t = 0) {
+        return curvatureFromDerivatives(this.derivativesAt(x, y, t));
+    }
+
+    // ===== TIRS =====
+
+    // Trajectoire depuis start avec la vitesse initiale velocity
+    // (résultat de computeTrajectory)
+    trajectory(start, velocity, startTime = 0) {
+        const level = this.level;
+
+        return computeTrajectory(
+            { x: start.x, y: start.y },
+            velocity,
+            {
+                ...this.options,
+                bounds: level.bounds,
+                goalPos: level.goalPos,
+                goalRadius: level.goalRadius,
+                obstacles: level.objects || [],
+                masses: level.masses,
+                startTime
+            }
+        );
+    }
+
+    // Tir à l'angle (degrés) et à la puissance donnés
+    shoot(start, angle, power, startTime = 0) {
+        return this.trajectory(start, shotVelocity(angle, power), startTime);
+    }
+
+    // Série de tirs [{ x, y, angle, power, t? }], dans l'ordre
+    shootAll(shots) {
+        return shots.map(shot => this.shoot(shot, shot.angle, shot.power, shot.t ?? 0));
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * Module Compute
+ * Calculs lourds hors du fil principal : aperçu de trajectoire, génération
+ * de niveau, solveur et difficulté, exécutés dans un Web Worker (worker.js)
+ */
+
+import { Level } from './level.js';
+import { Simulation } from '../engine/simulation.js';
+import { generateLevel, generateLevelBatch } from './generator.js';
+import { solveLevel } from './solver.js';
+import { estimateDifficulty } from './difficulty.js';
+import { computeSensitivityMap } from './sensitivity.js';
+import { computeFan } from './fan.js';
+
+// ===== PROTOCOLE =====
+// Fil principal -> worker : { id, type, payload }
+// Worker -> fil principal :
+//   { id, type: 'progress', progress }   avancement de 0 à 1
+//   { id, type: 'result', result }
+//   { id, type: 'error', message }
+// Les niveaux voyagent sous forme JSON (packLevel / unpackLevel).
+
+export const ComputeTask = {
+    PREVIEW: 'preview',          // { level, start, velocity, startTime } -> résultat de computeTrajectory
+    FAN: 'fan',                  // { level, start, angle, power, startTime } -> faisceau (voir fan.js)
+    GENERATE: 'generate',        // { levelId, options } -> niveau emballé
+    GENERATE_BATCH: 'generateBatch', // { startId, count, options } -> niveaux emballés, triés
+    SOLVE: 'solve',              // { level, options } -> solutions (voir solver.js)
+    DIFFICULTY: 'difficulty',    // { level } -> estimation (voir difficulty.js)
+    SENSITIVITY: 'sensitivity'   // { level, start, power, startTime } -> carte (voir sensitivity.js)
+};
+
+export function packLevel(level) {
+    return {
+        json: level.toJSON(),
+        id: level.id,
+        seed: level.seed,
+        difficultyEstimate: level.difficultyEstimate
+    };
+}
+
+export function unpackLevel(data) {
+    const level = Level.fromJSON(data.json, data.id);
+    level.seed = data.seed;
+    level.difficultyEstimate = data.difficultyEstimate;
+    return level;
+}
+
+// Exécute une tâche ; onProgress(fraction) pour les tâches longues.
+// Utilisé par le worker, et directement si les workers sont indisponibles.
+export function runTask(type, payload, onProgress = null) {
+    switch (type) {
+        case ComputeTask.PREVIEW: {
+            const simulation = new Simulation(unpackLevel(payload.level));
+            return simulation.trajectory(payload.start, payload.velocity, payload.startTime);
+        }
+        case ComputeTask.FAN: {
+            const simulation = new Simulation(unpackLevel(payload.level));
+            return computeFan(simulation, payload.start, payload.angle, payload.power, payload.startTime);
+        }
+        case ComputeTask.GENERATE: {
+            const level = generateLevel(payload.levelId, {
+                ...payload.options,
+                onProgress: (done, total) => onProgress?.(done / total)
+            });
+            return packLevel(level);
+        }
+        case ComputeTask.GENERATE_BATCH: {
+            const levels = generateLevelBatch(payload.startId, payload.count, {
+                ...payload.options,
+                onProgress: (done, total) => onProgress?.(done / total)
+            });
+            return levels.map(packLevel);
+        }
+        case ComputeTask.SOLVE:
+            return solveLevel(unpackLevel(payload.level), payload.options);
+        case ComputeTask.DIFFICULTY:
+            return estimateDifficulty(unpackLevel(payload.level));
+        case ComputeTask.SENSITIVITY:
+            return computeSensitivityMap(unpackLevel(payload.level), payload.start, payload.power, {
+                startTime: payload.startTime
+            });
+        default:
+            throw new Error(`Tâche de calcul inconnue : ${type}`);
+    }
+}
+
+// ===== SERVICE =====
+// Aperçu et faisceau suivent les sliders, chacun sur son canal : une seule
+// demande par canal est en cours à la fois ; une demande arrivée entre-temps
+// attend, et remplace la précédente encore en attente (résolue avec null).
+// Un calcul terminé alors qu'une demande plus récente attend est aussi
+// résolu avec null : seul le dernier réglage des sliders est affiché.
+// Limite : un calcul parti n'est pas interrompu, et toutes les tâches
+// partagent un seul worker, traitées dans l'ordre d'arrivée. Un aperçu
+// demandé pendant une génération, une recherche de solution, une estimation
+// de difficulté ou une carte de sensibilité attend donc la fin de celle-ci.
+
+export class ComputeService {
+    constructor(workerUrl = new URL('./worker.js', import.meta.url)) {
+        this.requests = new Map();
+        this.nextId = 1;
+
+        // Canaux « dernière demande seulement » : { inFlight, pending }
+        this.channels = new Map();
+
+        // Passage sur le fil principal : raison conservée dans fallbackReason,
+        // onFallback(raison) appelé si le worker tombe en cours de partie
+        this.fallbackReason = null;
+        this.onFallback = null;
+
+        this.worker = null;
+        try {
+            this.worker = new Worker(workerUrl, { type: 'module' });
+            this.worker.addEventListener('message', (e) => this.onMessage(e.data));
+            this.worker.addEventListener('error', (e) => this.onWorkerError(e));
+        } catch (e) {
+            this.fallbackReason = e.message;
+        }
+    }
+
+    onMessage({ id, type, progress, result, message }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+            request.onProgress?.(progress);
+            return;
+        }
+
+        this.requests.delete(id);
+        if (type === 'error') request.reject(new Error(message));
+        else request.resolve(result);
+    }
+
+    // Worker inutilisable (chargement impossible...) : on bascule sur le fil principal
+    onWorkerError(e) {
+        this.fallbackReason = e.message;
+        this.onFallback?.(e.message);
+        this.worker?.terminate();
+        this.worker = null;
+
+        for (const [id, request] of this.requests) {
+            this.requests.delete(id);
+            this.runLocally(request.type, request.payload, request.onProgress)
+                .then(request.resolve, request.reject);
+        }
+    }
+
+    // Sans worker : exécution différée, pour laisser l'interface se rafraîchir
+    runLocally(type, payload, onProgress) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                try {
+                    resolve(runTask(type, payload, onProgress));
+                } catch (e) {
+                    reject(e);
+                }
+            }, 0);
+        });
+    }
+
+    request(type, payload, onProgress = null) {
+        if (!this.worker) return this.runLocally(type, payload, onProgress);
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { type, payload, onProgress, resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    // ===== TÂCHES =====
+
+    // Tâche du canal type, ou null si la demande a été dépassée
+    latest(type, payload) {
+        let channel = this.channels.get(type);
+        if (!channel) {
+            channel = { inFlight: false, pending: null };
+            this.channels.set(type, channel);
+        }
+
+        if (!channel.inFlight) return this.sendLatest(channel, type, payload);
+
+        channel.pending?.resolve(null);
+        return new Promise((resolve, reject) => {
+            channel.pending = { payload, resolve, reject };
+        });
+    }
+
+    async sendLatest(channel, type, payload) {
+        channel.inFlight = true;
+        let result;
+        try {
+            result = await this.request(type, payload);
+        } finally {
+            channel.inFlight = false;
+            const next = channel.pending;
+            channel.pending = null;
+            if (next) this.sendLatest(channel, type, next.payload).then(next.resolve, next.reject);
+        }
+        // Une demande plus récente vient de partir : ce résultat est dépassé
+        return channel.inFlight ? null : result;
+    }
+
+    // Résultat de computeTrajectory, ou null si la demande a été dépassée
+    preview(level, start, velocity, startTime = 0) {
+        return this.latest(ComputeTask.PREVIEW, {
+            level: packLevel(level),
+            start: { x: start.x, y: start.y },
+            velocity: { x: velocity.x, y: velocity.y },
+            startTime
+        });
+    }
+
+    // Faisceau d'incertitude (voir fan.js), ou null si la demande a été dépassée
+    fan(level, start, angle, power, startTime = 0) {
+        return this.latest(ComputeTask.FAN, {
+            level: packLevel(level),
+            start: { x: start.x, y: start.y },
+            angle,
+            power,
+            startTime
+        });
+    }
+
+    // Niveau généré (voir generateLevel) ; onProgress(fraction)
+    async generate(levelId, options = {}, onProgress = null) {
+        const data = await this.request(ComputeTask.GENERATE, { levelId, options }, onProgress);
+        return unpackLevel(data);
+    }
+
+    // Lot de niveaux générés, triés par difficulté (voir generateLevelBatch)
+    async generateBatch(startId, count, options = {}, onProgress = null) {
+        const data = await this.request(ComputeTask.GENERATE_BATCH, { startId, count, options }, onProgress);
+        return data.map(unpackLevel);
+    }
+
+    // Solutions de solveLevel ; options : valeurs copiables vers le worker
+    solve(level, options = {}) {
+        return this.request(ComputeTask.SOLVE, { level: packLevel(level), options });
+    }
+
+    estimateDifficulty(level) {
+        return this.request(ComputeTask.DIFFICULTY, { level: packLevel(level) });
+    }
+
+    // Carte de sensibilité pour des tirs de puissance power depuis start
+    sensitivity(level, start, power, startTime = 0) {
+        return this.request(ComputeTask.SENSITIVITY, {
+            level: packLevel(level),
+            start: { x: start.x, y: start.y },
+            power,
+            startTime
+        });
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Module Difficulty
+ * Estimation de la difficulté d'un niveau à partir de ses solutions :
+ * taille de la zone gagnante, sensibilité autour du meilleur tir et
+ * nombre de masses que la trajectoire doit frôler
+ */
+
+import { analyseLevel } from './solver.js';
+import { massAt } from '../engine/motion.js';
+import { massOffset } from '../engine/potentials.js';
+
+// ===== PARAMÈTRES =====
+
+export const DIFFICULTY_MIN = 1;
+export const DIFFICULTY_MAX = 10;
+
+// Poids des trois critères (somme 1)
+const WEIGHTS = { region: 0.4, sensitivity: 0.4, interactions: 0.2 };
+
+// Part gagnante de la grille à partir de laquelle la zone compte comme
+// minuscule (critère à 1) ; une grille entièrement gagnante compte 0
+const TINY_REGION = 0.005;
+
+// Tolérances jugées confortables (critère de sensibilité à 0)
+const COMFORTABLE_ANGLE = 5;       // degrés
+const COMFORTABLE_POWER = 0.25;
+
+// Une masse est frôlée si la trajectoire passe à moins de cette distance
+const INTERACTION_DISTANCE = 1.5;
+// Nombre de masses frôlées qui sature le critère
+const MAX_INTERACTIONS = 4;
+
+// ===== CRITÈRES =====
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+// Échelle logarithmique : 1 → 0, TINY_REGION → 1
+function regionTerm(fraction) {
+    if (fraction <= 0) return 1;
+    return clamp01(Math.log(fraction) / Math.log(TINY_REGION));
+}
+
+// L'axe le plus serré décide
+function sensitivityTerm(solution) {
+    const slack = Math.min(
+        solution.angleTolerance / COMFORTABLE_ANGLE,
+        solution.powerTolerance / COMFORTABLE_POWER
+    );
+    return 1 - clamp01(slack);
+}
+
+// Masses passant à moins de INTERACTION_DISTANCE de la trajectoire
+// (position des masses mobiles à l'instant de chaque point)
+export function countMassInteractions(masses, points) {
+    let count = 0;
+
+    for (const mass of masses) {
+        const near = points.some(p => {
+            const { dx, dy } = massOffset(massAt(mass, p.t ?? 0), p.x, p.y);
+            return Math.hypot(dx, dy) < INTERACTION_DISTANCE;
+        });
+        if (near) count++;
+    }
+
+    return count;
+}
+
+// ===== ESTIMATION =====
+// Retourne { score, solvable, winningFraction, sensitivity, interactions }.
+// score va de DIFFICULTY_MIN à DIFFICULTY_MAX (une décimale) ; un niveau sans
+// tir gagnant en un coup depuis le départ reçoit DIFFICULTY_MAX.
+// options : transmises au solveur (voir solver.js)
+
+export function estimateDifficulty(level, options = {}) {
+    const { solutions, winningCells, totalCells } = analyseLevel(level, options);
+    const winningFraction = winningCells / totalCells;
+
+    if (solutions.length === 0) {
+        return {
+            score: DIFFICULTY_MAX,
+            solvable: false,
+            winningFraction,
+            sensitivity: 1,
+            interactions: 0
+        };
+    }
+
+    const best = solutions[0];
+    const sensitivity = sensitivityTerm(best);
+    const interactions = countMassInteractions(level.masses, best.result.points);
+
+    const weighted =
+        WEIGHTS.region * regionTerm(winningFraction) +
+        WEIGHTS.sensitivity * sensitivity +
+        WEIGHTS.interactions * Math.min(interactions / MAX_INTERACTIONS, 1);
+    const score = DIFFICULTY_MIN + (DIFFICULTY_MAX - DIFFICULTY_MIN) * weighted;
+
+    return {
+        score: Math.round(score * 10) / 10,
+        solvable: true,
+        winningFraction,
+        sensitivity,
+        interactions
+    };
+}
@@ -0,0 +1,317 @@
+/**
+ * Module Editor
+ * Édition interactive d'un niveau directement sur la surface
+ */
+
+import {
+    DEFAULT_POTENTIAL,
+    getPotentialModel,
+    massOffset,
+    PotentialGeometry
+} from '../engine/potentials.js';
+import { MotionType } from '../engine/motion.js';
+
+// ===== PARAMÈTRES DE L'ÉDITEUR =====
+
+const MASS_PICK_RADIUS = 0.35;
+const START_PICK_RADIUS = 0.35;
+const MAX_STRENGTH = 5;            // Force dans [-5, 5] (négative : colline)
+const WHEEL_STRENGTH_STEP = 0.1;
+const SEGMENT_LENGTH = 2;          // Longueur initiale d'une crête
+const ORBIT_PERIOD = 8;            // Mouvements créés dans l'éditeur (s)
+const OSCILLATE_PERIOD = 4;
+const OSCILLATE_AMPLITUDE = 1;
+const DRIFT_SPEED = 0.2;
+
+// ===== CLASSE EDITOR =====
+
+export class LevelEditor {
+    constructor(canvas, renderer, onChange) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.onChange = onChange;
+
+        this.level = null;
+        this.active = false;
+        this.selectedIndex = -1;
+        this.dragging = null;
+        this.newMassStrength = 1.0;
+        this.newMassModel = DEFAULT_POTENTIAL;
+
+        this.attachEvents();
+    }
+
+    open(level) {
+        this.level = level;
+        this.active = true;
+        this.selectedIndex = -1;
+        this.dragging = null;
+        this.notify();
+    }
+
+    close() {
+        this.active = false;
+        this.dragging = null;
+    }
+
+    getSelectedMass() {
+        return this.level?.masses[this.selectedIndex] || null;
+    }
+
+    // ===== ÉDITION =====
+
+    setSelectedStrength(strength) {
+        const mass = this.getSelectedMass();
+        if (!mass) return;
+
+        mass.strength = Math.min(Math.max(strength, -MAX_STRENGTH), MAX_STRENGTH);
+        this.newMassStrength = mass.strength;
+        this.notify();
+    }
+
+    // Change le modèle de potentiel de la masse sélectionnée (et des suivantes)
+    setSelectedModel(modelId) {
+        this.newMassModel = getPotentialModel(modelId).id;
+
+        const mass = this.getSelectedMass();
+        if (!mass) return;
+
+        mass.model = this.newMassModel;
+        delete mass.scale;
+        this.applyGeometry(mass);
+        this.notify();
+    }
+
+    setSelectedScale(scale) {
+        const mass = this.getSelectedMass();
+        if (!mass) return;
+
+        const { min, max } = getPotentialModel(mass.model).scale;
+        mass.scale = Math.min(Math.max(scale, min), max);
+        this.notify();
+    }
+
+    // Mouvement par défaut du type choisi ; type vide : masse fixe.
+    // Les réglages fins (centre, période, phase) passent par le JSON.
+    setSelectedMotion(type) {
+        const mass = this.getSelectedMass();
+        if (!mass) return;
+
+        const b = this.level.bounds;
+        const center = { x: (b.minX + b.maxX) / 2, y: (b.minY + b.maxY) / 2 };
+
+        switch (type) {
+            case MotionType.ORBIT:
+                // Autour du centre de la zone (ou à côté, si la masse y est déjà)
+                if (Math.hypot(mass.x - center.x, mass.y - center.y) < 0.5) center.x -= 1.5;
+                mass.motion = { type, center, period: ORBIT_PERIOD };
+                break;
+            case MotionType.OSCILLATE:
+                mass.motion = { type, amplitude: { x: OSCILLATE_AMPLITUDE, y: 0 }, period: OSCILLATE_PERIOD };
+                break;
+            case MotionType.DRIFT:
+                mass.motion = { type, velocity: { x: DRIFT_SPEED, y: 0 } };
+                break;
+            default:
+                delete mass.motion;
+        }
+        this.notify();
+    }
+
+    // Un segment a besoin d'une seconde extrémité ; un point n'en a pas
+    applyGeometry(mass) {
+        if (getPotentialModel(mass.model).geometry === PotentialGeometry.SEGMENT) {
+            if (mass.x2 === undefined) {
+                const b = this.level.bounds;
+                mass.x2 = Math.min(mass.x + SEGMENT_LENGTH, b.maxX);
+                mass.y2 = mass.y;
+            }
+        } else {
+            delete mass.x2;
+            delete mass.y2;
+        }
+    }
+
+    deleteSelected() {
+        if (!this.getSelectedMass()) return;
+
+        this.level.masses.splice(this.selectedIndex, 1);
+        this.selectedIndex = -1;
+        this.notify();
+    }
+
+    addMass(x, y) {
+        const mass = { x, y, strength: this.newMassStrength, model: this.newMassModel };
+        this.applyGeometry(mass);
+        this.level.masses.push(mass);
+        this.selectedIndex = this.level.masses.length - 1;
+        this.notify();
+    }
+
+    notify() {
+        this.onChange?.(this);
+    }
+
+    // ===== SÉLECTION =====
+
+    // Cible sous le point : départ, objectif, extrémité de segment
+    // ou masse la plus proche (distance au segment pour les crêtes)
+    hitTest(point) {
+        const level = this.level;
+        const dist = (p) => Math.hypot(point.x - p.x, point.y - p.y);
+
+        if (dist(level.startPos) < START_PICK_RADIUS) {
+            return { type: 'start' };
+        }
+        if (dist(level.goalPos) < Math.max(level.goalRadius, START_PICK_RADIUS)) {
+            return { type: 'goal' };
+        }
+
+        let best = null;
+        let bestDist = MASS_PICK_RADIUS;
+        level.masses.forEach((mass, index) => {
+            if (mass.x2 !== undefined && dist({ x: mass.x2, y: mass.y2 }) < bestDist) {
+                bestDist = dist({ x: mass.x2, y: mass.y2 });
+                best = { type: 'massEnd', index };
+            }
+
+            const { dx, dy } = massOffset(mass, point.x, point.y);
+            const d = Math.hypot(dx, dy);
+            if (d < bestDist) {
+                bestDist = d;
+                best = { type: 'mass', index, grab: { x: point.x - mass.x, y: point.y - mass.y } };
+            }
+        });
+        return best;
+    }
+
+    pointToWorld(e) {
+        // Hors de la surface (bords, ciel), on retombe sur le plan z = 0
+        const p = this.renderer.pick(e.clientX, e.clientY) ||
+                  this.renderer.screenToPlane(e.clientX, e.clientY);
+        if (!p) return null;
+
+        // Rester dans la zone de jeu
+        const b = this.level.bounds;
+        return {
+            x: Math.min(Math.max(p.x, b.minX), b.maxX),
+            y: Math.min(Math.max(p.y, b.minY), b.maxY)
+        };
+    }
+
+    moveTarget(target, point) {
+        if (target.type === 'start') {
+            this.level.startPos = point;
+        } else if (target.type === 'goal') {
+            this.level.goalPos = point;
+        } else if (target.type === 'massEnd') {
+            const mass = this.level.masses[target.index];
+            mass.x2 = point.x;
+            mass.y2 = point.y;
+        } else {
+            // Un segment se déplace d'un bloc, depuis le point saisi
+            const mass = this.level.masses[target.index];
+            const grab = target.grab || { x: 0, y: 0 };
+            const dx = point.x - grab.x - mass.x;
+            const dy = point.y - grab.y - mass.y;
+            mass.x += dx;
+            mass.y += dy;
+            if (mass.x2 !== undefined) {
+                mass.x2 += dx;
+                mass.y2 += dy;
+            }
+        }
+        this.notify();
+    }
+
+    // ===== ÉVÉNEMENTS =====
+
+    attachEvents() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.active) return;
+
+            const point = this.pointToWorld(e);
+            if (!point) return;
+
+            const target = this.hitTest(point);
+
+            // Clic droit sur une masse : réservé à la suppression (contextmenu),
+            // la caméra ne doit pas se déplacer
+            if (e.button === 2) {
+                if (target?.type === 'mass') e.stopImmediatePropagation();
+                return;
+            }
+            if (e.button !== 0) return;
+
+            if (target) {
+                if (target.type === 'mass' || target.type === 'massEnd') {
+                    this.selectedIndex = target.index;
+                }
+                this.dragging = target;
+                this.notify();
+            } else {
+                this.addMass(point.x, point.y);
+                this.dragging = { type: 'mass', index: this.selectedIndex };
+            }
+
+            canvas.setPointerCapture(e.pointerId);
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.active || !this.dragging) return;
+
+            const point = this.pointToWorld(e);
+            if (point) this.moveTarget(this.dragging, point);
+            e.stopImmediatePropagation();
+        });
+
+        const endDrag = (e) => {
+            if (!this.dragging) return;
+            this.dragging = null;
+            e.stopImmediatePropagation();
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+
+        // Clic droit sur une masse : suppression
+        canvas.addEventListener('contextmenu', (e) => {
+            if (!this.active) return;
+            e.preventDefault();
+
+            const point = this.pointToWorld(e);
+            const target = point && this.hitTest(point);
+            if (target?.type === 'mass') {
+                this.selectedIndex = target.index;
+                this.deleteSelected();
+            }
+        });
+
+        // Molette sur une masse : modifier sa force
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.active) return;
+
+            const point = this.pointToWorld(e);
+            const target = point && this.hitTest(point);
+            if (target?.type !== 'mass') return;
+
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.selectedIndex = target.index;
+            const mass = this.getSelectedMass();
+            this.setSelectedStrength(mass.strength - Math.sign(e.deltaY) * WHEEL_STRENGTH_STEP);
+        }, { passive: false });
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.active) return;
+            // Touches destinées aux contrôles du panneau (listes, champs, boutons)
+            if (e.target.closest?.('input, select, textarea, button')) return;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                this.deleteSelected();
+            }
+        });
+    }
+}
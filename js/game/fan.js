@@ -0,0 +1,82 @@
+/**
+ * Module Fan
+ * Faisceau d'incertitude autour de la visée : trajectoires pour l'angle
+ * ± δ et la puissance ± δ, classées selon leur issue
+ */
+
+import { TerminationReason } from '../engine/physics.js';
+
+// ===== PARAMÈTRES =====
+
+// Écarts maximaux et nombre de pas de chaque côté : (2 * steps + 1)² tirs,
+// moins le tir central déjà affiché par l'aperçu
+export const FAN_SPREAD = {
+    angle: 3,        // degrés
+    power: 0.2,
+    steps: 2
+};
+
+// Un point sur FAN_STRIDE est conservé pour le tracé (et les points de vortex)
+const FAN_STRIDE = 4;
+
+// ===== ISSUES =====
+
+export const FanOutcome = {
+    GOAL: 'goal',
+    OUT_OF_BOUNDS: 'out',
+    CAPTURED: 'captured',
+    OTHER: 'other'          // Absorbé, arrêté ou trop long
+};
+
+// Couleur de chaque issue (la légende de index.html reprend les mêmes)
+export const FAN_COLORS = {
+    [FanOutcome.GOAL]: [0.3, 0.9, 0.4],
+    [FanOutcome.OUT_OF_BOUNDS]: [1.0, 0.55, 0.2],
+    [FanOutcome.CAPTURED]: [0.75, 0.4, 1.0],
+    [FanOutcome.OTHER]: [0.6, 0.6, 0.65]
+};
+
+function fanOutcome(result) {
+    switch (result.termination?.reason) {
+        case TerminationReason.GOAL: return FanOutcome.GOAL;
+        case TerminationReason.OUT_OF_BOUNDS: return FanOutcome.OUT_OF_BOUNDS;
+        case TerminationReason.CAPTURED: return FanOutcome.CAPTURED;
+        default: return FanOutcome.OTHER;
+    }
+}
+
+function thinPoints(points) {
+    const last = points.length - 1;
+    return points.filter((p, i) => i % FAN_STRIDE === 0 || p.jump || i === last);
+}
+
+// ===== FAISCEAU =====
+// Retourne { lines, goalCount } ; lines : [{ angle, power, outcome, points }],
+// goalCount : nombre de tirs du faisceau qui atteignent l'objectif.
+// simulation : Simulation du niveau (voir simulation.js)
+
+export function computeFan(simulation, start, angle, power, startTime = 0, spread = FAN_SPREAD) {
+    const lines = [];
+
+    for (let i = -spread.steps; i <= spread.steps; i++) {
+        for (let j = -spread.steps; j <= spread.steps; j++) {
+            if (i === 0 && j === 0) continue;
+
+            const shotAngle = angle + i * spread.angle / spread.steps;
+            const shotPower = Math.max(power + j * spread.power / spread.steps, 0);
+            const result = simulation.shoot(start, shotAngle, shotPower, startTime);
+
+            lines.push({
+                angle: shotAngle,
+                power: shotPower,
+                outcome: fanOutcome(result),
+                points: thinPoints(result.points)
+            });
+        }
+    }
+
+    return {
+        lines,
+        goalCount: lines.filter(line => line.outcome === FanOutcome.GOAL).length
+    };
+}
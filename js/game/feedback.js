@@ -0,0 +1,51 @@
+/**
+ * Module Feedback
+ * Explication de l'issue d'un tir raté pour le joueur
+ */
+
+import { TerminationReason } from '../engine/physics.js';
+
+// ===== PARAMÈTRES =====
+
+const EDGE_NAMES = {
+    minX: 'par la gauche',
+    maxX: 'par la droite',
+    minY: 'par le bas',
+    maxY: 'par le haut'
+};
+
+// Vitesse finale au-delà de laquelle un tir interrompu est "en orbite"
+const ORBIT_SPEED = 0.2;
+
+// ===== DESCRIPTION =====
+
+// Cause de l'échec, d'après result.termination (voir computeTrajectory)
+export function describeTermination(termination) {
+    switch (termination?.reason) {
+        case TerminationReason.CAPTURED:
+            return termination.massIndex >= 0 ?
+                `Capturé par la masse ${termination.massIndex + 1}` :
+                'Capturé par une masse';
+        case TerminationReason.OUT_OF_BOUNDS:
+            return `Sorti de la zone ${EDGE_NAMES[termination.edge] || ''}`.trim();
+        case TerminationReason.ABSORBED:
+            return 'Englouti par une zone noire';
+        case TerminationReason.TIMEOUT:
+            return termination.finalSpeed > ORBIT_SPEED ?
+                'Piégé en orbite, temps de vol écoulé' :
+                'Arrêté avant le portail';
+        case TerminationReason.GOAL:
+            return 'Portail atteint';
+        default:
+            return 'Raté';
+    }
+}
+
+// Phrase complète : cause et distance minimale au portail
+export function describeFailure(result) {
+    const cause = describeTermination(result.termination);
+    const closest = result.closestApproach;
+    if (!closest) return cause;
+
+    return `${cause} — passé à ${closest.distance.toFixed(2)} du portail`;
+}
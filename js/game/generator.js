@@ -4,11 +4,13 @@
  */
 
 import { Level } from './level.js';
-import { computeTrajectory, setMasses } from '../engine/physics.js';
+import { hasSolution } from './solver.js';
+import { estimateDifficulty, DIFFICULTY_MIN, DIFFICULTY_MAX } from './difficulty.js';
 
 // ===== PARAMÈTRES DE GÉNÉRATION =====
+// Valeurs par défaut, remplaçables à chaque appel (options.params)
 
-const generationParams = {
+export const DEFAULT_GENERATION_PARAMS = {
     // Progression de la difficulté
     baseMassCount: 1,
     massCountGrowth: 0.3,      // +0.3 masse par niveau
@@ -32,6 +34,29 @@ const generationParams = {
     margin: 0.8
 };
 
+// Candidats essayés avant de garder le plus proche de la difficulté visée
+const MAX_CANDIDATES = 20;
+
+// Bande de difficulté visée pour le niveau généré levelId (voir difficulty.js)
+const BAND_START = 3;
+const BAND_GROWTH = 0.35;      // +0.35 par niveau
+const BAND_HALF_WIDTH = 1;
+
+export function difficultyBandFor(levelId) {
+    const center = Math.min(BAND_START + BAND_GROWTH * (levelId - 1), DIFFICULTY_MAX - BAND_HALF_WIDTH);
+    return {
+        min: Math.max(center - BAND_HALF_WIDTH, DIFFICULTY_MIN),
+        max: center + BAND_HALF_WIDTH
+    };
+}
+
+// Écart d'un score à la bande [min, max] (0 à l'intérieur)
+function bandDistance(score, band) {
+    if (score < band.min) return band.min - score;
+    if (score > band.max) return score - band.max;
+    return 0;
+}
+
 // ===== GÉNÉRATEUR DE NOMBRES ALÉATOIRES SEEDED =====
 
 class SeededRandom {
@@ -165,48 +190,30 @@ function generateMasses(rng, levelId, startPos, goalPos, params) {
     return masses;
 }
 
-function validateLevel(level) {
-    // Vérifier qu'il existe au moins une trajectoire possible
-    setMasses(level.masses);
-
-    // Tester plusieurs angles et puissances
-    for (let angle = 0; angle < 360; angle += 15) {
-        for (let power = 1; power <= 5; power += 0.5) {
-            const radAngle = angle * Math.PI / 180;
-            const vel = {
-                x: Math.cos(radAngle) * power,
-                y: Math.sin(radAngle) * power
-            };
-
-            const result = computeTrajectory(
-                level.startPos,
-                vel,
-                {
-                    maxSteps: 2000,
-                    dt: 0.01,
-                    bounds: level.bounds,
-                    goalPos: level.goalPos,
-                    goalRadius: level.goalRadius
-                }
-            );
-
-            if (result.reachedGoal) {
-                return true;
-            }
-        }
-    }
-
-    return false;
-}
-
 // ===== FONCTION PRINCIPALE DE GÉNÉRATION =====
-
-export function generateLevel(levelId, seed = null) {
-    // Utiliser levelId comme seed par défaut pour reproductibilité
-    const actualSeed = seed !== null ? seed : levelId * 12345;
-    const rng = new SeededRandom(actualSeed);
-
-    const params = generationParams;
+// options :
+//   seed          : graine (levelId * 12345 par défaut, pour la reproductibilité)
+//   params        : remplace tout ou partie de DEFAULT_GENERATION_PARAMS
+//   difficulty    : bande visée { min, max } ; sans bande, le premier niveau
+//                   jouable est retenu, et sa difficulté n'est estimée qu'à
+//                   la première lecture de estimatedDifficulty
+//   maxCandidates : candidats essayés (MAX_CANDIDATES par défaut)
+//   onProgress    : appelé avec (candidats essayés, maxCandidates)
+// Les candidats sans tir gagnant sont écartés. Si aucun n'entre dans la
+// bande, on garde le plus proche ; si aucun n'est jouable, un niveau simple.
+
+export function generateLevel(levelId, options = {}) {
+    const {
+        seed: requestedSeed = null,
+        params: overrides = {},
+        difficulty: band = null,
+        maxCandidates = MAX_CANDIDATES,
+        onProgress = null
+    } = options;
+
+    const seed = requestedSeed ?? levelId * 12345;
+    const params = { ...DEFAULT_GENERATION_PARAMS, ...overrides };
+    const rng = new SeededRandom(seed);
 
     // Rayon de l'objectif (diminue avec la difficulté)
     const goalRadius = Math.max(
@@ -215,10 +222,12 @@ export function generateLevel(levelId, seed = null) {
     );
 
     let level = null;
-    let attempts = 0;
-    const maxAttempts = 20;
+    let bestDistance = Infinity;
+
+    for (let attempt = 0; attempt < maxCandidates; attempt++) {
+        if (attempt > 0) rng.seed = seed + attempt * 1000; // Nouveau seed
+        onProgress?.(attempt, maxCandidates);
 
-    while (attempts < maxAttempts) {
         const { startPos, goalPos } = generateStartAndGoal(rng, levelId, params);
         const masses = generateMasses(rng, levelId, startPos, goalPos, params);
 
@@ -231,17 +240,26 @@ export function generateLevel(levelId, seed = null) {
             goalRadius,
             masses,
             bounds: params.bounds,
-            difficulty: levelId,
-            parShots: 1
+            maxAttempts: 6,
+            parShots: 2,
+            seed
         });
 
-        if (validateLevel(candidateLevel)) {
+        // Au moins un tir gagnant en un coup (voir solver.js)
+        if (!hasSolution(candidateLevel)) continue;
+
+        if (!band) {
             level = candidateLevel;
             break;
         }
 
-        attempts++;
-        rng.seed = actualSeed + attempts * 1000; // Nouveau seed
+        candidateLevel.difficultyEstimate = estimateDifficulty(candidateLevel);
+        const distance = bandDistance(candidateLevel.difficultyEstimate.score, band);
+        if (distance < bestDistance) {
+            level = candidateLevel;
+            bestDistance = distance;
+        }
+        if (distance === 0) break;
     }
 
     if (!level) {
@@ -255,11 +273,14 @@ export function generateLevel(levelId, seed = null) {
             goalRadius,
             masses: [{ x: 0, y: 0, strength: 1.5 }],
             bounds: params.bounds,
-            difficulty: levelId,
-            parShots: 1
+            maxAttempts: 6,
+            parShots: 2,
+            seed
         });
     }
 
+    // Estimation déjà faite pour chaque candidat (une seule pour le fallback)
+    if (band) level.difficulty = level.estimatedDifficulty.score;
     return level;
 }
 
@@ -285,11 +306,25 @@ function generateDescription(levelId, massCount) {
 }
 
 // ===== GÉNÉRATION PAR LOT =====
-
-export function generateLevelBatch(startId, count) {
+// Niveaux startId à startId + count - 1, triés par difficulté calculée
+// croissante (estimée ici si aucune bande n'est visée) ; chacun garde son
+// identifiant et sa graine, donc reste reproductible seul.
+// options : transmises à generateLevel, sauf seed (graine propre à chaque
+// niveau) et onProgress, appelé avec (niveaux générés, count). Sans
+// difficulty, chaque niveau vise difficultyBandFor(son identifiant) ;
+// difficulty: null pour ne viser aucune bande.
+
+export function generateLevelBatch(startId, count, options = {}) {
+    const { seed, difficulty, onProgress = null, ...shared } = options;
     const levels = [];
     for (let i = 0; i < count; i++) {
-        levels.push(generateLevel(startId + i));
+        const levelId = startId + i;
+        levels.push(generateLevel(levelId, {
+            ...shared,
+            difficulty: difficulty === undefined ? difficultyBandFor(levelId) : difficulty,
+            onProgress: (done, total) => onProgress?.(i + done / total, count)
+        }));
     }
-    return levels;
+    onProgress?.(count, count);
+    return levels.sort((a, b) => a.estimatedDifficulty.score - b.estimatedDifficulty.score);
 }
\ No newline at end of file
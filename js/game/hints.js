@@ -0,0 +1,61 @@
+/**
+ * Module Hints
+ * Indices progressifs tirés du solveur : direction approximative,
+ * trajectoire fantôme d'une solution, puis visée exacte
+ */
+
+// ===== PALIERS =====
+
+export const HintTier = {
+    NONE: 0,
+    DIRECTION: 1,     // Flèche vers la direction approximative
+    GHOST: 2,         // Trajectoire fantôme d'un tir gagnant
+    SOLUTION: 3       // Sliders placés sur ce tir
+};
+
+// Arrondi de l'angle montré au premier palier (degrés)
+const DIRECTION_ROUNDING = 15;
+
+// ===== GESTIONNAIRE D'INDICES =====
+// Le palier atteint est conservé pour tout le niveau : après un tir raté,
+// un nouvel indice repart du même palier depuis la nouvelle position.
+// La solution est celle du solveur (solveLevel) pour la position et
+// l'instant de la demande. Le nombre d'indices (used) est enregistré à côté
+// du score (Scorecard, Save), sans pénalité de coups.
+
+export class HintSystem {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.tier = HintTier.NONE;
+        this.used = 0;
+        this.hint = null;
+    }
+
+    // Indice suivant à partir de la meilleure solution pour un tir depuis
+    // start. Retourne null sans solution (aucun tir gagnant en un coup).
+    request(solution, start) {
+        if (!solution) return null;
+
+        this.tier = Math.min(this.tier + 1, HintTier.SOLUTION);
+        this.used++;
+
+        const roughAngle = Math.round(solution.angle / DIRECTION_ROUNDING) * DIRECTION_ROUNDING % 360;
+        this.hint = {
+            tier: this.tier,
+            start: { x: start.x, y: start.y },
+            angle: solution.angle,
+            power: solution.power,
+            roughAngle,
+            points: solution.result.points
+        };
+        return this.hint;
+    }
+
+    // L'indice affiché n'est plus valable (tir lancé, niveau changé)
+    clear() {
+        this.hint = null;
+    }
+}
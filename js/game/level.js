@@ -3,6 +3,40 @@
  * Configuration et gestion des niveaux
  */
 
+import {
+    getPotentialModel,
+    getPotentialModels,
+    hasPotentialModel,
+    PotentialGeometry
+} from '../engine/potentials.js';
+import { MotionType } from '../engine/motion.js';
+import { ObstacleType } from '../engine/obstacles.js';
+import { estimateDifficulty } from './difficulty.js';
+
+// ===== FORMAT JSON =====
+// Format versionné pour partager des niveaux sous forme de fichiers
+// Version 2 : chaque masse déclare son modèle de potentiel (model, scale,
+// et x2, y2 pour les segments). Les masses d'un fichier v1 sont "softened".
+// Version 3 : masses mobiles (motion, voir motion.js).
+// Version 4 : objets de niveau (objects, voir obstacles.js).
+
+export const LEVEL_FORMAT = 'geodesic-level';
+export const LEVEL_FORMAT_VERSION = 4;
+
+// Copie d'une masse avec son modèle explicite
+function copyMass(mass) {
+    const model = getPotentialModel(mass.model);
+    const copy = { x: mass.x, y: mass.y, strength: mass.strength, model: model.id };
+
+    if (mass.scale !== undefined) copy.scale = mass.scale;
+    if (model.geometry === PotentialGeometry.SEGMENT) {
+        copy.x2 = mass.x2;
+        copy.y2 = mass.y2;
+    }
+    if (mass.motion) copy.motion = structuredClone(mass.motion);
+    return copy;
+}
+
 export class Level {
     constructor(config) {
         this.id = config.id || 1;
@@ -27,10 +61,32 @@ export class Level {
         // Masses qui courbent l'espace
         this.masses = config.masses || [];
 
-        // Paramètres de difficulté
+        // Murs, absorbeurs, bumpers, accélérateurs et vortex
+        this.objects = config.objects || [];
+
+        // Paramètres de difficulté (difficulty : valeur déclarée, voir aussi
+        // estimatedDifficulty pour la valeur calculée)
         this.difficulty = config.difficulty || 1;
         this.maxAttempts = config.maxAttempts || Infinity;
         this.parShots = config.parShots || 1; // Nombre de tirs "par" (comme au golf)
+
+        // Graine des niveaux générés (null pour les niveaux faits main)
+        this.seed = config.seed ?? null;
+
+        this.difficultyEstimate = null;
+    }
+
+    // Difficulté calculée (voir difficulty.js), évaluée à la première lecture
+    get estimatedDifficulty() {
+        if (!this.difficultyEstimate) {
+            this.difficultyEstimate = estimateDifficulty(this);
+        }
+        return this.difficultyEstimate;
+    }
+
+    // À appeler quand le niveau est modifié (éditeur)
+    invalidateDifficulty() {
+        this.difficultyEstimate = null;
     }
 
     toGameState() {
@@ -42,6 +98,288 @@ export class Level {
             bounds: this.bounds
         };
     }
+
+    toJSON() {
+        const data = {
+            format: LEVEL_FORMAT,
+            version: LEVEL_FORMAT_VERSION,
+            name: this.name,
+            description: this.description,
+            difficulty: this.difficulty,
+            par: this.parShots,
+            bounds: { ...this.bounds },
+            start: { x: this.startPos.x, y: this.startPos.y },
+            goal: { x: this.goalPos.x, y: this.goalPos.y },
+            goalRadius: this.goalRadius,
+            masses: this.masses.map(copyMass)
+        };
+
+        if (this.objects.length > 0) {
+            data.objects = structuredClone(this.objects);
+        }
+
+        // Infinity n'existe pas en JSON : absence = tentatives illimitées
+        if (Number.isFinite(this.maxAttempts)) {
+            data.maxAttempts = this.maxAttempts;
+        }
+
+        return data;
+    }
+
+    // Construit un niveau depuis un objet JSON (ou sa chaîne).
+    // Lève une erreur listant tous les problèmes si le schéma n'est pas respecté.
+    static fromJSON(json, id = null) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (e) {
+                throw new Error(`Niveau invalide : JSON mal formé (${e.message})`);
+            }
+        }
+
+        const errors = validateLevelJSON(data);
+        if (errors.length > 0) {
+            throw new Error(`Niveau invalide :\n- ${errors.join('\n- ')}`);
+        }
+
+        return new Level({
+            id: id ?? 1,
+            name: data.name,
+            description: data.description ?? '',
+            bounds: { ...data.bounds },
+            startPos: { x: data.start.x, y: data.start.y },
+            goalPos: { x: data.goal.x, y: data.goal.y },
+            goalRadius: data.goalRadius,
+            masses: data.masses.map(copyMass),
+            objects: structuredClone(data.objects ?? []),
+            difficulty: data.difficulty ?? 1,
+            maxAttempts: data.maxAttempts,
+            parShots: data.par ?? 1
+        });
+    }
+}
+
+// ===== VALIDATION DU SCHÉMA =====
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkNumber(errors, value, path, { min = -Infinity, integer = false } = {}) {
+    if (!isNumber(value)) {
+        errors.push(`${path} doit être un nombre (reçu : ${JSON.stringify(value)})`);
+    } else if (integer && !Number.isInteger(value)) {
+        errors.push(`${path} doit être un entier (reçu : ${value})`);
+    } else if (value < min) {
+        errors.push(`${path} doit être ≥ ${min} (reçu : ${value})`);
+    }
+}
+
+function checkPoint(errors, value, path) {
+    if (typeof value !== 'object' || value === null) {
+        errors.push(`${path} doit être un objet { x, y }`);
+        return;
+    }
+    checkNumber(errors, value.x, `${path}.x`);
+    checkNumber(errors, value.y, `${path}.y`);
+}
+
+function checkMassModel(errors, mass, path, version) {
+    if (mass.model === undefined) {
+        if (version >= 2) errors.push(`${path}.model est requis depuis la version 2`);
+        return;
+    }
+    if (!hasPotentialModel(mass.model)) {
+        const known = getPotentialModels().map(m => m.id).join(', ');
+        errors.push(`${path}.model inconnu : ${JSON.stringify(mass.model)} (modèles : ${known})`);
+        return;
+    }
+
+    const model = getPotentialModel(mass.model);
+    if (mass.scale !== undefined) {
+        checkNumber(errors, mass.scale, `${path}.scale`, { min: model.scale.min });
+        if (isNumber(mass.scale) && mass.scale > model.scale.max) {
+            errors.push(`${path}.scale doit être ≤ ${model.scale.max} (reçu : ${mass.scale})`);
+        }
+    }
+    if (model.geometry === PotentialGeometry.SEGMENT) {
+        checkNumber(errors, mass.x2, `${path}.x2`);
+        checkNumber(errors, mass.y2, `${path}.y2`);
+    }
+}
+
+function checkMassMotion(errors, motion, path) {
+    if (typeof motion !== 'object' || motion === null) {
+        errors.push(`${path} doit être un objet { type, ... }`);
+        return;
+    }
+
+    switch (motion.type) {
+        case MotionType.ORBIT:
+            checkPoint(errors, motion.center, `${path}.center`);
+            checkNumber(errors, motion.period, `${path}.period`);
+            if (motion.period === 0) errors.push(`${path}.period doit être non nul`);
+            break;
+        case MotionType.OSCILLATE:
+            checkPoint(errors, motion.amplitude, `${path}.amplitude`);
+            checkNumber(errors, motion.period, `${path}.period`);
+            if (isNumber(motion.period) && motion.period <= 0) {
+                errors.push(`${path}.period doit être strictement positif (reçu : ${motion.period})`);
+            }
+            if (motion.phase !== undefined) checkNumber(errors, motion.phase, `${path}.phase`);
+            break;
+        case MotionType.DRIFT:
+            checkPoint(errors, motion.velocity, `${path}.velocity`);
+            break;
+        default: {
+            const known = Object.values(MotionType).join(', ');
+            errors.push(`${path}.type inconnu : ${JSON.stringify(motion.type)} (types : ${known})`);
+        }
+    }
+}
+
+function checkPositive(errors, value, path) {
+    checkNumber(errors, value, path);
+    if (isNumber(value) && value <= 0) {
+        errors.push(`${path} doit être strictement positif (reçu : ${value})`);
+    }
+}
+
+function checkObject(errors, object, path) {
+    if (typeof object !== 'object' || object === null) {
+        errors.push(`${path} doit être un objet { type, ... }`);
+        return;
+    }
+
+    switch (object.type) {
+        case ObstacleType.WALL:
+            for (const key of ['x1', 'y1', 'x2', 'y2']) {
+                checkNumber(errors, object[key], `${path}.${key}`);
+            }
+            if (object.x1 === object.x2 && object.y1 === object.y2) {
+                errors.push(`${path} : les deux extrémités du mur sont confondues`);
+            }
+            if (object.restitution !== undefined) {
+                checkNumber(errors, object.restitution, `${path}.restitution`, { min: 0 });
+            }
+            break;
+        case ObstacleType.ABSORBER:
+        case ObstacleType.BUMPER:
+        case ObstacleType.BOOSTER:
+            checkPoint(errors, object, path);
+            checkPositive(errors, object.radius, `${path}.radius`);
+            if (object.kick !== undefined) checkPositive(errors, object.kick, `${path}.kick`);
+            if (object.factor !== undefined) checkPositive(errors, object.factor, `${path}.factor`);
+            break;
+        case ObstacleType.WORMHOLE:
+            checkPoint(errors, object.a, `${path}.a`);
+            checkPoint(errors, object.b, `${path}.b`);
+            checkPositive(errors, object.radius, `${path}.radius`);
+            // Deux bouches qui se chevauchent renverraient le projectile sans fin
+            if (isNumber(object.a?.x) && isNumber(object.b?.x) && isNumber(object.radius) &&
+                Math.hypot(object.a.x - object.b.x, object.a.y - object.b.y) <= 2 * object.radius) {
+                errors.push(`${path} : les bouches a et b se chevauchent`);
+            }
+            break;
+        default: {
+            const known = Object.values(ObstacleType).join(', ');
+            errors.push(`${path}.type inconnu : ${JSON.stringify(object.type)} (types : ${known})`);
+        }
+    }
+}
+
+function isInside(point, bounds) {
+    return point.x >= bounds.minX && point.x <= bounds.maxX &&
+           point.y >= bounds.minY && point.y <= bounds.maxY;
+}
+
+// Retourne la liste des erreurs (vide si le niveau est valide)
+export function validateLevelJSON(data) {
+    const errors = [];
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        return ['le niveau doit être un objet JSON'];
+    }
+
+    if (data.format !== LEVEL_FORMAT) {
+        errors.push(`format doit valoir "${LEVEL_FORMAT}" (reçu : ${JSON.stringify(data.format)})`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        errors.push(`version doit être un entier ≥ 1 (reçu : ${JSON.stringify(data.version)})`);
+    } else if (data.version > LEVEL_FORMAT_VERSION) {
+        errors.push(`version ${data.version} non supportée (maximum : ${LEVEL_FORMAT_VERSION})`);
+    }
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name doit être une chaîne non vide');
+    }
+    if (data.description !== undefined && typeof data.description !== 'string') {
+        errors.push('description doit être une chaîne');
+    }
+    if (data.difficulty !== undefined) {
+        checkNumber(errors, data.difficulty, 'difficulty', { min: 0 });
+    }
+    if (data.par !== undefined) {
+        checkNumber(errors, data.par, 'par', { min: 1, integer: true });
+    }
+    if (data.maxAttempts !== undefined) {
+        checkNumber(errors, data.maxAttempts, 'maxAttempts', { min: 1, integer: true });
+    }
+
+    const bounds = data.bounds;
+    let boundsValid = false;
+    if (typeof bounds !== 'object' || bounds === null) {
+        errors.push('bounds doit être un objet { minX, maxX, minY, maxY }');
+    } else {
+        const before = errors.length;
+        for (const key of ['minX', 'maxX', 'minY', 'maxY']) {
+            checkNumber(errors, bounds[key], `bounds.${key}`);
+        }
+        if (errors.length === before) {
+            if (bounds.minX >= bounds.maxX) errors.push('bounds.minX doit être inférieur à bounds.maxX');
+            if (bounds.minY >= bounds.maxY) errors.push('bounds.minY doit être inférieur à bounds.maxY');
+            boundsValid = errors.length === before;
+        }
+    }
+
+    const before = errors.length;
+    checkPoint(errors, data.start, 'start');
+    checkPoint(errors, data.goal, 'goal');
+    if (boundsValid && errors.length === before) {
+        if (!isInside(data.start, bounds)) errors.push('start est en dehors de bounds');
+        if (!isInside(data.goal, bounds)) errors.push('goal est en dehors de bounds');
+    }
+
+    checkNumber(errors, data.goalRadius, 'goalRadius');
+    if (isNumber(data.goalRadius) && data.goalRadius <= 0) {
+        errors.push(`goalRadius doit être strictement positif (reçu : ${data.goalRadius})`);
+    }
+
+    if (!Array.isArray(data.masses)) {
+        errors.push('masses doit être un tableau');
+    } else {
+        data.masses.forEach((mass, i) => {
+            checkPoint(errors, mass, `masses[${i}]`);
+            if (typeof mass === 'object' && mass !== null) {
+                checkNumber(errors, mass.strength, `masses[${i}].strength`);
+                checkMassModel(errors, mass, `masses[${i}]`, data.version);
+                if (mass.motion !== undefined) {
+                    checkMassMotion(errors, mass.motion, `masses[${i}].motion`);
+                }
+            }
+        });
+    }
+
+    if (data.objects !== undefined) {
+        if (!Array.isArray(data.objects)) {
+            errors.push('objects doit être un tableau');
+        } else {
+            data.objects.forEach((object, i) => checkObject(errors, object, `objects[${i}]`));
+        }
+    }
+
+    return errors;
 }
 
 // ===== NIVEAU 1 : TUTORIEL =====
@@ -57,6 +395,7 @@ export const level1 = new Level({
         { x: 0, y: 0, strength: 1.5 }
     ],
     difficulty: 1,
+    maxAttempts: 4,
     parShots: 1
 });
 
@@ -74,7 +413,8 @@ export const level2 = new Level({
         { x: 1, y: -1, strength: 1.2 }
     ],
     difficulty: 2,
-    parShots: 1
+    maxAttempts: 5,
+    parShots: 2
 });
 
 // ===== NIVEAU 3 : LA FRONDE =====
@@ -90,7 +430,8 @@ export const level3 = new Level({
         { x: 0, y: 0, strength: 2.0 }
     ],
     difficulty: 3,
-    parShots: 1
+    maxAttempts: 5,
+    parShots: 2
 });
 
 // ===== NIVEAU 4 : SLALOM =====
@@ -108,7 +449,8 @@ export const level4 = new Level({
         { x: 2, y: 1.5, strength: 1.0 }
     ],
     difficulty: 4,
-    parShots: 1
+    maxAttempts: 6,
+    parShots: 2
 });
 
 // ===== NIVEAU 5 : LE TROU NOIR =====
@@ -125,7 +467,8 @@ export const level5 = new Level({
         { x: 3, y: -2, strength: 0.5 }
     ],
     difficulty: 5,
-    parShots: 1
+    maxAttempts: 6,
+    parShots: 3
 });
 
 // Liste de tous les niveaux prédéfinis
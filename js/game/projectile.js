@@ -4,7 +4,11 @@
  */
 
 import { vec2, length2D, normalize2D, scale2D, add2D } from '../engine/math.js';
-import { gravitationalHeight, integrateRK4, computeTrajectory, getMasses } from '../engine/physics.js';
+import { gravitationalHeight } from '../engine/physics.js';
+import { shotVelocity } from '../engine/simulation.js';
+
+// Paramètres de tir, définis avec la simulation
+export { SHOT_OPTIONS, shotVelocity } from '../engine/simulation.js';
 
 export const ProjectileState = {
     IDLE: 'idle',
@@ -25,6 +29,8 @@ export class Projectile {
         this.trajectory = [];
         this.currentTrajectoryIndex = 0;
         this.previewTrajectory = [];
+        this.startTime = 0;
+        this.time = 0;
     }
 
     setStartPosition(x, y) {
@@ -32,35 +38,35 @@ export class Projectile {
         this.startPos = { x, y };
     }
 
+    // Immobilise le projectile : le prochain tir partira de cette position
+    settle(x, y) {
+        this.setStartPosition(x, y);
+        this.state = ProjectileState.IDLE;
+        this.trajectory = [];
+        this.currentTrajectoryIndex = 0;
+        this.previewTrajectory = [];
+    }
+
     setAimParameters(angle, power) {
         this.angle = angle;
         this.power = power;
 
         // Calculer la vitesse initiale
-        const radAngle = angle * Math.PI / 180;
-        this.vel = {
-            x: Math.cos(radAngle) * power,
-            y: Math.sin(radAngle) * power
-        };
+        this.vel = shotVelocity(angle, power);
     }
 
-    computePreview(goalPos, goalRadius, bounds) {
+    // simulation : Simulation du niveau joué ; startTime : instant du tir
+    computePreview(simulation, startTime = 0) {
         if (this.state !== ProjectileState.AIMING) return;
 
-        const result = computeTrajectory(
-            this.pos,
-            this.vel,
-            {
-                maxSteps: 2000,
-                dt: 0.01,
-                bounds,
-                goalPos,
-                goalRadius
-            }
-        );
+        this.setPreview(simulation.trajectory(this.pos, this.vel, startTime), startTime);
+    }
 
+    // Aperçu calculé ailleurs (worker, voir compute.js) pour la visée courante
+    setPreview(result, startTime = 0) {
         this.previewTrajectory = result.points;
         this.previewResult = result;
+        this.startTime = startTime;
     }
 
     launch() {
@@ -79,15 +85,27 @@ export class Projectile {
 
         if (this.currentTrajectoryIndex >= this.trajectory.length) {
             this.state = ProjectileState.FINISHED;
+
+            // Le projectile s'immobilise sur le dernier point du tir
+            const last = this.trajectory[this.trajectory.length - 1];
+            this.pos = { x: last.x, y: last.y };
+            this.time = last.t;
+
             return {
                 finished: true,
-                reachedGoal: this.previewResult?.reachedGoal || false
+                reachedGoal: this.previewResult?.reachedGoal || false,
+                outOfBounds: this.previewResult?.outOfBounds || false,
+                captured: this.previewResult?.captured || false,
+                absorbed: this.previewResult?.absorbed || false,
+                termination: this.previewResult?.termination || null,
+                closestApproach: this.previewResult?.closestApproach || null
             };
         }
 
         const idx = Math.floor(this.currentTrajectoryIndex);
         const point = this.trajectory[idx];
         this.pos = { x: point.x, y: point.y };
+        this.time = point.t;
 
         return {
             finished: false,
@@ -95,8 +113,8 @@ export class Projectile {
         };
     }
 
-    getPosition3D() {
-        const z = gravitationalHeight(this.pos.x, this.pos.y);
+    getPosition3D(t = 0) {
+        const z = gravitationalHeight(this.pos.x, this.pos.y, t);
         return { x: this.pos.x, y: this.pos.y, z };
     }
 
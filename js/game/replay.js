@@ -0,0 +1,215 @@
+/**
+ * Module Replay
+ * Enregistrement des tirs et relecture déterministe
+ */
+
+import { TerminationReason } from '../engine/physics.js';
+import { Simulation } from '../engine/simulation.js';
+
+// ===== FORMAT =====
+
+export const REPLAY_FORMAT = 'geodesic-replay';
+// Version 2 : instant de chaque tir (masses mobiles), absent en v1 (t = 0)
+export const REPLAY_FORMAT_VERSION = 2;
+
+export const ShotOutcome = {
+    GOAL: 'goal',
+    OUT: 'out',
+    CAPTURED: 'captured',
+    ABSORBED: 'absorbed',
+    REST: 'rest'
+};
+
+// Résultat enregistré pour chaque raison d'arrêt de la trajectoire
+const OUTCOME_BY_REASON = {
+    [TerminationReason.GOAL]: ShotOutcome.GOAL,
+    [TerminationReason.OUT_OF_BOUNDS]: ShotOutcome.OUT,
+    [TerminationReason.CAPTURED]: ShotOutcome.CAPTURED,
+    [TerminationReason.ABSORBED]: ShotOutcome.ABSORBED,
+    [TerminationReason.TIMEOUT]: ShotOutcome.REST
+};
+
+export function shotOutcome(result) {
+    return OUTCOME_BY_REASON[result.termination?.reason] ?? ShotOutcome.REST;
+}
+
+const MAX_RUNS = 20;
+const POINTS_PER_SECOND = 120; // Même cadence que le vol en jeu
+
+// ===== ENREGISTREMENT =====
+// Une "partie" regroupe les tirs successifs joués sur un niveau
+
+export class ReplayRecorder {
+    constructor() {
+        this.runs = [];
+        this.current = null;
+    }
+
+    // levelData : JSON du niveau, uniquement pour les niveaux non reproductibles
+    startRun(levelId, seed, levelData = null) {
+        this.current = { levelId, seed, level: levelData, shots: [] };
+    }
+
+    // t : instant du tir dans le temps du champ
+    recordShot(start, angle, power, outcome, t = 0) {
+        if (!this.current) return;
+
+        // Valeurs exactes : la moindre différence diverge après quelques orbites
+        this.current.shots.push({ x: start.x, y: start.y, angle, power, outcome, t });
+
+        // La partie apparaît dans l'historique dès son premier tir
+        if (this.current.shots.length === 1) {
+            this.add(this.current);
+        }
+    }
+
+    getRuns() {
+        return this.runs;
+    }
+
+    add(run) {
+        this.runs.unshift(run);
+        if (this.runs.length > MAX_RUNS) this.runs.pop();
+    }
+}
+
+// ===== IMPORT / EXPORT =====
+
+export function serializeReplay(run) {
+    const data = {
+        format: REPLAY_FORMAT,
+        version: REPLAY_FORMAT_VERSION,
+        levelId: run.levelId,
+        seed: run.seed,
+        shots: run.shots.map(s => [s.x, s.y, s.angle, s.power, s.outcome, s.t])
+    };
+    if (run.level) data.level = run.level;
+
+    return JSON.stringify(data);
+}
+
+export function parseReplay(json) {
+    let data;
+    try {
+        data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (e) {
+        throw new Error(`Replay invalide : JSON mal formé (${e.message})`);
+    }
+
+    const errors = [];
+    if (data?.format !== REPLAY_FORMAT) {
+        errors.push(`format doit valoir "${REPLAY_FORMAT}"`);
+    }
+    if (!Number.isInteger(data?.version) || data.version > REPLAY_FORMAT_VERSION) {
+        errors.push(`version non supportée (reçu : ${JSON.stringify(data?.version)})`);
+    }
+    if (typeof data?.levelId !== 'number' && !data?.level) {
+        errors.push('levelId doit être un nombre, ou le niveau doit être inclus (level)');
+    }
+    if (!Array.isArray(data?.shots) || data.shots.length === 0) {
+        errors.push('shots doit être un tableau non vide');
+    } else {
+        const outcomes = Object.values(ShotOutcome);
+        data.shots.forEach((shot, i) => {
+            const valid = Array.isArray(shot) && (shot.length === 5 || shot.length === 6) &&
+                shot.slice(0, 4).every(Number.isFinite) && outcomes.includes(shot[4]) &&
+                (shot.length === 5 || Number.isFinite(shot[5]));
+            if (!valid) {
+                errors.push(`shots[${i}] doit être [x, y, angle, puissance, résultat, instant]`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Replay invalide :\n- ${errors.join('\n- ')}`);
+    }
+
+    return {
+        levelId: data.levelId ?? null,
+        seed: data.seed ?? null,
+        level: data.level || null,
+        shots: data.shots.map(([x, y, angle, power, outcome, t = 0]) => ({ x, y, angle, power, outcome, t }))
+    };
+}
+
+// ===== RELECTURE =====
+
+// Re-simule chaque tir avec les mêmes paramètres qu'en jeu
+export function simulateRun(run, level) {
+    const results = new Simulation(level).shootAll(run.shots);
+
+    return run.shots.map((shot, i) => {
+        const outcome = shotOutcome(results[i]);
+
+        return { shot, points: results[i].points, outcome, matches: outcome === shot.outcome };
+    });
+}
+
+// Lecture d'une partie : les tirs sont enchaînés sur une seule ligne de temps
+export class ReplayPlayer {
+    constructor(run, level) {
+        this.run = run;
+        this.level = level;
+        this.shots = simulateRun(run, level);
+
+        this.offsets = [];
+        let total = 0;
+        for (const shot of this.shots) {
+            this.offsets.push(total);
+            total += shot.points.length;
+        }
+        this.length = total;
+
+        this.position = 0;
+        this.speed = 1;
+        this.playing = true;
+    }
+
+    // Vrai si la re-simulation diffère de l'enregistrement
+    isDesynced() {
+        return this.shots.some(s => !s.matches);
+    }
+
+    update(dt) {
+        if (!this.playing) return;
+
+        this.position += POINTS_PER_SECOND * this.speed * dt;
+        if (this.position >= this.length - 1) {
+            this.position = this.length - 1;
+            this.playing = false;
+        }
+    }
+
+    togglePause() {
+        // Relancer depuis le début une lecture terminée
+        if (!this.playing && this.position >= this.length - 1) {
+            this.position = 0;
+        }
+        this.playing = !this.playing;
+    }
+
+    seek(fraction) {
+        this.position = Math.min(Math.max(fraction, 0), 1) * (this.length - 1);
+    }
+
+    getProgress() {
+        return this.length > 1 ? this.position / (this.length - 1) : 0;
+    }
+
+    // Tir en cours, point courant et partie restante de la trajectoire
+    getFrame() {
+        const index = Math.floor(this.position);
+        let shotIndex = this.offsets.length - 1;
+        while (shotIndex > 0 && this.offsets[shotIndex] > index) shotIndex--;
+
+        const shot = this.shots[shotIndex];
+        const local = Math.min(index - this.offsets[shotIndex], shot.points.length - 1);
+
+        return {
+            shotIndex,
+            shot,
+            point: shot.points[local],
+            remaining: shot.points.slice(local)
+        };
+    }
+}
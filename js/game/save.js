@@ -0,0 +1,179 @@
+/**
+ * Module Save
+ * Progression persistante (localStorage) : niveaux réussis, records, déblocages
+ */
+
+// ===== FORMAT =====
+
+export const SAVE_KEY = 'geodesic.save';
+export const SAVE_VERSION = 1;
+
+// Migrations successives : migrations[v] transforme une sauvegarde v en v + 1
+const migrations = {
+    // Version 0 : premières sauvegardes, sans numéro de version ; les niveaux
+    // débloqués et le total de tirs pouvaient manquer
+    0: (save) => {
+        const levels = save.levels ?? {};
+        const completed = Object.keys(levels)
+            .filter(id => levels[id]?.completed)
+            .map(Number)
+            .filter(Number.isInteger);
+        return {
+            levels,
+            unlocked: save.unlocked ?? [...new Set([1, ...completed, ...completed.map(id => id + 1)])],
+            totalShots: save.totalShots ?? 0
+        };
+    }
+};
+
+function createEmptySave() {
+    return {
+        version: SAVE_VERSION,
+        levels: {},
+        unlocked: [1],
+        totalShots: 0
+    };
+}
+
+// Sauvegarde sans numéro de version : version 0
+function migrate(data) {
+    if (typeof data !== 'object' || data === null) throw new Error('structure invalide');
+    let save = { ...data, version: data.version ?? 0 };
+    while (save.version < SAVE_VERSION) {
+        const step = migrations[save.version];
+        if (!step) {
+            throw new Error(`Aucune migration depuis la version ${save.version}`);
+        }
+        save = { ...step(save), version: save.version + 1 };
+    }
+    return save;
+}
+
+function isValidSave(data) {
+    return typeof data === 'object' && data !== null &&
+           Number.isInteger(data.version) &&
+           typeof data.levels === 'object' && data.levels !== null &&
+           Array.isArray(data.unlocked) &&
+           Number.isFinite(data.totalShots);
+}
+
+// ===== GESTIONNAIRE DE SAUVEGARDE =====
+// Les incidents de stockage sont des messages pour le joueur : loadError pour
+// le chargement, onError(message) pour la première écriture qui échoue.
+
+export class SaveManager {
+    constructor(storage = globalThis.localStorage ?? null, key = SAVE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.loadError = null;
+        this.onError = null;
+        this.persistFailed = false;
+        this.data = this.load();
+    }
+
+    load() {
+        let raw = null;
+        try {
+            raw = this.storage?.getItem(this.key) ?? null;
+        } catch (e) {
+            this.loadError = 'Sauvegarde inaccessible : la progression ne sera pas conservée';
+        }
+        if (!raw) return createEmptySave();
+
+        try {
+            const data = migrate(JSON.parse(raw));
+            if (data.version > SAVE_VERSION) {
+                throw new Error(`version ${data.version} plus récente que le jeu`);
+            }
+            if (!isValidSave(data)) throw new Error('structure invalide');
+            return data;
+        } catch (e) {
+            // Copie de côté avant de repartir de zéro, pour récupération manuelle
+            let copy = `copie dans ${this.key}.corrupt`;
+            try {
+                this.storage?.setItem(`${this.key}.corrupt`, raw);
+            } catch (err) {
+                copy = 'copie impossible';
+            }
+            this.loadError = `Sauvegarde illisible (${e.message}), progression remise à zéro (${copy})`;
+            return createEmptySave();
+        }
+    }
+
+    persist() {
+        try {
+            this.storage?.setItem(this.key, JSON.stringify(this.data));
+            this.persistFailed = false;
+        } catch (e) {
+            if (!this.persistFailed) this.onError?.('Échec de la sauvegarde de la progression');
+            this.persistFailed = true;
+        }
+    }
+
+    // ===== LECTURE =====
+
+    getLevel(levelId) {
+        return this.data.levels[levelId] || null;
+    }
+
+    isCompleted(levelId) {
+        return this.getLevel(levelId)?.completed === true;
+    }
+
+    isUnlocked(levelId) {
+        return this.data.unlocked.includes(levelId);
+    }
+
+    getCompletedCount() {
+        return Object.values(this.data.levels).filter(l => l.completed).length;
+    }
+
+    get totalShots() {
+        return this.data.totalShots;
+    }
+
+    // ===== ÉCRITURE =====
+
+    recordShot() {
+        this.data.totalShots++;
+        this.persist();
+    }
+
+    // shots : [{ x, y, angle, power, t }] du parcours gagnant ; hints : indices
+    // utilisés (à coups égaux, le parcours avec moins d'indices l'emporte).
+    // Retourne true si c'est un nouveau record pour ce niveau.
+    recordCompletion(levelId, strokes, shots, hints = 0) {
+        const previous = this.getLevel(levelId);
+        const isBest = !previous?.completed || strokes < previous.bestStrokes ||
+                       (strokes === previous.bestStrokes && hints < (previous.hints ?? 0));
+
+        if (isBest) {
+            this.data.levels[levelId] = {
+                completed: true,
+                bestStrokes: strokes,
+                hints,
+                bestShots: shots.map(({ x, y, angle, power, t = 0 }) => ({ x, y, angle, power, t }))
+            };
+        }
+
+        // Le niveau suivant devient accessible
+        const next = levelId + 1;
+        if (!this.isUnlocked(next)) {
+            this.data.unlocked.push(next);
+        }
+
+        this.persist();
+        return isBest;
+    }
+
+    // ===== EXPORT / RÉINITIALISATION =====
+
+    export() {
+        return JSON.stringify(this.data, null, 2);
+    }
+
+    reset() {
+        this.data = createEmptySave();
+        this.persist();
+    }
+}
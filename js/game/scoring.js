@@ -0,0 +1,63 @@
+/**
+ * Module Scoring
+ * Score façon golf : nombre de coups par rapport au par du niveau
+ */
+
+// ===== NOMS DES SCORES =====
+
+const scoreNames = {
+    '-3': 'Albatros',
+    '-2': 'Eagle',
+    '-1': 'Birdie',
+    '0': 'Par',
+    '1': 'Bogey',
+    '2': 'Double bogey',
+    '3': 'Triple bogey'
+};
+
+// Écart au par sous forme compacte : "E", "-1", "+2"
+export function formatRelativeToPar(strokes, par) {
+    const diff = strokes - par;
+    if (diff === 0) return 'E';
+    return diff > 0 ? `+${diff}` : `${diff}`;
+}
+
+export function scoreLabel(strokes, par) {
+    if (strokes === 1 && par > 1) return 'Trou en un';
+
+    const diff = strokes - par;
+    if (scoreNames[diff]) return scoreNames[diff];
+
+    return diff < 0 ? `${diff} sous le par` : `+${diff} au-dessus du par`;
+}
+
+// ===== CARTE DE SCORE =====
+
+export class Scorecard {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    // Enregistre le résultat d'un niveau (réussi ou non) ; hints : indices
+    // utilisés, notés à côté du score sans le modifier
+    record(levelId, name, strokes, par, completed, hints = 0) {
+        this.entries.set(levelId, { levelId, name, strokes, par, completed, hints });
+    }
+
+    get(levelId) {
+        return this.entries.get(levelId) || null;
+    }
+
+    getEntries() {
+        return [...this.entries.values()];
+    }
+
+    // Écart cumulé au par sur les niveaux réussis (les indices n'y comptent pas)
+    getTotalRelativeToPar() {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.completed) total += entry.strokes - entry.par;
+        }
+        return total;
+    }
+}
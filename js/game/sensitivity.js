@@ -0,0 +1,90 @@
+/**
+ * Module Sensitivity
+ * Sensibilité des trajectoires à la direction de tir : des tirs répartis
+ * sur 360° depuis une position sont comparés à un tir voisin, et l'écart
+ * entre les deux est rapporté à celui qu'ils auraient en terrain plat
+ * (déviation géodésique)
+ */
+
+import { Simulation } from '../engine/simulation.js';
+
+// ===== PARAMÈTRES =====
+
+const SENSITIVITY_DEFAULTS = {
+    rays: 72,               // Tirs répartis sur 360°
+    deltaAngle: 0.5,        // Écart du tir voisin (degrés)
+    cellSize: 0.25,         // Côté d'une case de la carte
+    startTime: 0
+};
+
+// Échantillonnage des tirs : même horizon que SHOT_OPTIONS, points plus espacés
+const SAMPLING = { dt: 0.05, maxSteps: 400 };
+
+// En deçà de cette distance parcourue, l'écart attendu est trop petit pour
+// que le rapport soit significatif
+const MIN_ARC_LENGTH = 0.3;
+
+// ===== AMPLIFICATION =====
+
+// Amplification log2(écart / écart plat) le long de la trajectoire a, tant que
+// le tir voisin b avance au même rythme (arrêt au premier vortex de l'un ou l'autre)
+function amplificationAlong(a, b, deltaRad) {
+    const samples = [];
+    const count = Math.min(a.length, b.length);
+    let arc = 0;
+
+    for (let i = 1; i < count; i++) {
+        if (a[i].jump || b[i].jump) break;
+
+        arc += Math.hypot(a[i].x - a[i - 1].x, a[i].y - a[i - 1].y);
+        if (arc < MIN_ARC_LENGTH) continue;
+
+        const gap = Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+        samples.push({ x: a[i].x, y: a[i].y, value: Math.log2(Math.max(gap, 1e-9) / (arc * deltaRad)) });
+    }
+
+    return samples;
+}
+
+// ===== CARTE =====
+// Retourne { minX, minY, cellSize, cols, rows, values } : values[row * cols + col]
+// est l'amplification maximale (log2) des tirs passés par la case, null si
+// aucun tir n'y passe. 0 : comme en terrain plat ; > 0 : une erreur de visée
+// s'amplifie ; < 0 : les trajectoires voisines se rapprochent.
+// options : voir SENSITIVITY_DEFAULTS ; simulation : Simulation à réutiliser
+
+export function computeSensitivityMap(level, start, power, options = {}) {
+    const opts = { ...SENSITIVITY_DEFAULTS, ...options };
+    const simulation = opts.simulation || new Simulation(level, SAMPLING);
+    const { bounds } = level;
+
+    const cols = Math.ceil((bounds.maxX - bounds.minX) / opts.cellSize);
+    const rows = Math.ceil((bounds.maxY - bounds.minY) / opts.cellSize);
+    const values = new Array(cols * rows).fill(null);
+
+    const deltaRad = opts.deltaAngle * Math.PI / 180;
+
+    for (let k = 0; k < opts.rays; k++) {
+        const angle = k * 360 / opts.rays;
+        const a = simulation.shoot(start, angle, power, opts.startTime).points;
+        const b = simulation.shoot(start, angle + opts.deltaAngle, power, opts.startTime).points;
+
+        for (const { x, y, value } of amplificationAlong(a, b, deltaRad)) {
+            const col = Math.floor((x - bounds.minX) / opts.cellSize);
+            const row = Math.floor((y - bounds.minY) / opts.cellSize);
+            if (col < 0 || col >= cols || row < 0 || row >= rows) continue;
+
+            const index = row * cols + col;
+            if (values[index] === null || value > values[index]) values[index] = value;
+        }
+    }
+
+    return {
+        minX: bounds.minX,
+        minY: bounds.minY,
+        cellSize: opts.cellSize,
+        cols,
+        rows,
+        values
+    };
+}
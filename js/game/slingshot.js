@@ -0,0 +1,120 @@
+/**
+ * Module Slingshot
+ * Visée directe à la souris ou au doigt : on attrape le projectile,
+ * on tire en arrière comme une fronde et on relâche pour lancer
+ */
+
+// ===== PARAMÈTRES DE LA FRONDE =====
+
+const GRAB_RADIUS = 0.45;      // Rayon de prise autour du projectile
+const DEAD_ZONE = 0.1;         // Traction minimale pour viser
+const POWER_PER_UNIT = 2;      // Puissance par unité de traction
+const MIN_POWER = 0.5;
+const MAX_POWER = 5;
+
+// ===== CLASSE SLINGSHOT =====
+
+export class SlingshotAim {
+    // options : getAnchor() -> {x, y, z}, isEnabled() -> bool,
+    //           onAim(angle, power), onRelease()
+    constructor(canvas, renderer, options) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.options = options;
+
+        this.pointerId = null;
+        this.pulled = false;
+
+        this.attachEvents();
+    }
+
+    isDragging() {
+        return this.pointerId !== null;
+    }
+
+    // Position monde du pointeur, projetée sur la surface si possible
+    pointToWorld(e, anchor) {
+        return this.renderer.pick(e.clientX, e.clientY) ||
+               this.renderer.screenToPlane(e.clientX, e.clientY, anchor.z);
+    }
+
+    isOverAnchor(e) {
+        const anchor = this.options.getAnchor();
+        const point = this.pointToWorld(e, anchor);
+        if (!point) return false;
+
+        return Math.hypot(point.x - anchor.x, point.y - anchor.y) < GRAB_RADIUS;
+    }
+
+    // Traction -> angle (degrés, opposé à la traction) et puissance
+    aimFromPointer(e) {
+        const anchor = this.options.getAnchor();
+        const point = this.pointToWorld(e, anchor);
+        if (!point) return;
+
+        const pullX = anchor.x - point.x;
+        const pullY = anchor.y - point.y;
+        const pull = Math.hypot(pullX, pullY);
+        if (pull < DEAD_ZONE) return;
+
+        let angle = Math.atan2(pullY, pullX) * 180 / Math.PI;
+        if (angle < 0) angle += 360;
+        const power = Math.min(Math.max(pull * POWER_PER_UNIT, MIN_POWER), MAX_POWER);
+
+        this.pulled = true;
+        this.options.onAim(angle, power);
+    }
+
+    // ===== ÉVÉNEMENTS =====
+
+    attachEvents() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || this.isDragging()) return;
+            if (!this.options.isEnabled() || !this.isOverAnchor(e)) return;
+
+            this.pointerId = e.pointerId;
+            this.pulled = false;
+            canvas.setPointerCapture(e.pointerId);
+            canvas.style.cursor = 'grabbing';
+
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (this.isDragging()) {
+                if (e.pointerId !== this.pointerId) return;
+                this.aimFromPointer(e);
+                e.stopImmediatePropagation();
+                return;
+            }
+
+            // Curseur "main" au survol du projectile
+            if (e.pointerType === 'mouse' && this.options.isEnabled()) {
+                canvas.style.cursor = this.isOverAnchor(e) ? 'grab' : '';
+            }
+        });
+
+        canvas.addEventListener('pointerup', (e) => {
+            if (e.pointerId !== this.pointerId) return;
+
+            this.pointerId = null;
+            canvas.style.cursor = '';
+            e.stopImmediatePropagation();
+
+            if (this.pulled && this.options.isEnabled()) {
+                this.options.onRelease();
+            }
+        });
+
+        // Interruption (geste système, perte du pointeur) : pas de tir
+        canvas.addEventListener('pointercancel', (e) => {
+            if (e.pointerId !== this.pointerId) return;
+
+            this.pointerId = null;
+            canvas.style.cursor = '';
+        });
+    }
+}
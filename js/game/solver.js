@@ -0,0 +1,225 @@
+/**
+ * Module Solver
+ * Recherche automatique des tirs gagnants d'un niveau : balayage grossier
+ * des angles et puissances, regroupement en familles, puis affinage par
+ * dichotomie pour mesurer la tolérance de chaque famille
+ */
+
+import { Simulation } from '../engine/simulation.js';
+
+// ===== PARAMÈTRES =====
+// La grille par défaut est celle de l'ancienne validation du générateur
+// (15°, puissance 1 à 5 par 0.5) : un niveau a une solution pour le
+// solveur exactement quand l'ancienne validation l'acceptait.
+
+const SOLVER_DEFAULTS = {
+    angleStep: 15,          // Pas de la grille en angle (degrés, divise 360)
+    minPower: 1,
+    maxPower: 5,
+    powerStep: 0.5,
+    bisections: 10,         // Itérations de dichotomie par bord
+    maxFamilies: Infinity,  // Familles affinées (les plus grandes d'abord)
+    startTime: 0
+};
+
+// ===== BALAYAGE GROSSIER =====
+
+function coarseGrid(simulation, start, options) {
+    const angles = [];
+    for (let angle = 0; angle < 360; angle += options.angleStep) angles.push(angle);
+
+    const powers = [];
+    const count = Math.round((options.maxPower - options.minPower) / options.powerStep);
+    for (let j = 0; j <= count; j++) powers.push(options.minPower + j * options.powerStep);
+
+    const hits = angles.map(angle => powers.map(power =>
+        simulation.shoot(start, angle, power, options.startTime).reachedGoal
+    ));
+
+    return { angles, powers, hits };
+}
+
+// Composantes connexes des cases gagnantes (4-voisinage, l'angle boucle à 360°)
+function findFamilies(grid) {
+    const { angles, powers, hits } = grid;
+    const seen = angles.map(() => powers.map(() => false));
+    const families = [];
+
+    for (let i = 0; i < angles.length; i++) {
+        for (let j = 0; j < powers.length; j++) {
+            if (!hits[i][j] || seen[i][j]) continue;
+
+            const cells = [];
+            const stack = [[i, j]];
+            seen[i][j] = true;
+
+            while (stack.length > 0) {
+                const [ci, cj] = stack.pop();
+                cells.push([ci, cj]);
+
+                const neighbours = [
+                    [(ci + 1) % angles.length, cj],
+                    [(ci - 1 + angles.length) % angles.length, cj],
+                    [ci, cj + 1],
+                    [ci, cj - 1]
+                ];
+                for (const [ni, nj] of neighbours) {
+                    if (nj < 0 || nj >= powers.length) continue;
+                    if (hits[ni][nj] && !seen[ni][nj]) {
+                        seen[ni][nj] = true;
+                        stack.push([ni, nj]);
+                    }
+                }
+            }
+
+            families.push(cells);
+        }
+    }
+
+    return families;
+}
+
+// Case la plus centrale d'une famille : celle qui a le plus de voisines gagnantes
+function centralCell(cells, grid) {
+    const n = grid.angles.length;
+    const inFamily = new Set(cells.map(([i, j]) => `${i},${j}`));
+    const score = ([i, j]) =>
+        [[(i + 1) % n, j], [(i - 1 + n) % n, j], [i, j + 1], [i, j - 1]]
+            .filter(([a, b]) => inFamily.has(`${a},${b}`)).length;
+
+    return cells.reduce((best, cell) => score(cell) > score(best) ? cell : best);
+}
+
+// ===== AFFINAGE =====
+
+// Bord de la zone gagnante le long d'un axe, depuis value (gagnant) dans le
+// sens direction : on avance par pas de step jusqu'au premier échec (ou
+// jusqu'à limit), puis dichotomie entre le dernier succès et cet échec.
+// Retourne la dernière valeur gagnante trouvée.
+function findEdge(wins, value, direction, step, limit, bisections) {
+    let inside = value;
+    let outside = null;
+
+    while (outside === null) {
+        if (inside === limit) return limit;
+
+        const next = direction > 0 ? Math.min(inside + step, limit) : Math.max(inside - step, limit);
+        if (wins(next)) inside = next;
+        else outside = next;
+    }
+
+    for (let k = 0; k < bisections; k++) {
+        const middle = (inside + outside) / 2;
+        if (wins(middle)) inside = middle;
+        else outside = middle;
+    }
+
+    return inside;
+}
+
+// Intervalle gagnant [low, high] autour de value le long d'un axe
+function winningInterval(wins, value, step, min, max, bisections) {
+    return {
+        low: findEdge(wins, value, -1, step, min, bisections),
+        high: findEdge(wins, value, 1, step, max, bisections)
+    };
+}
+
+// Affine une famille : centre l'angle dans son intervalle gagnant à
+// puissance fixe, puis la puissance à angle fixe. Les tolérances sont les
+// demi-largeurs des intervalles gagnants autour du tir retenu, l'autre
+// paramètre fixé à sa valeur retenue (angle remesuré à la puissance finale).
+function refineFamily(simulation, start, cells, grid, options) {
+    const [ci, cj] = centralCell(cells, grid);
+    const power0 = grid.powers[cj];
+    const angle0 = grid.angles[ci];
+    const wins = (angle, power) => simulation.shoot(start, angle, power, options.startTime).reachedGoal;
+
+    // Au plus un demi-tour de chaque côté : l'angle n'est pas borné
+    const angleInterval = winningInterval(
+        angle => wins(angle, power0),
+        angle0, options.angleStep, angle0 - 180, angle0 + 180, options.bisections
+    );
+
+    // Le milieu d'un intervalle gagnant peut rater si la zone n'est pas
+    // convexe : on garde alors l'angle de la grille
+    let angle = (angleInterval.low + angleInterval.high) / 2;
+    if (!wins(angle, power0)) angle = angle0;
+
+    const powerInterval = winningInterval(
+        power => wins(angle, power),
+        power0, options.powerStep, options.minPower, options.maxPower, options.bisections
+    );
+    const power = (powerInterval.low + powerInterval.high) / 2;
+
+    const result = simulation.shoot(start, angle, power, options.startTime);
+    if (!result.reachedGoal) return null;
+
+    const finalAngleInterval = power === power0 ? angleInterval : winningInterval(
+        a => wins(a, power),
+        angle, options.angleStep, angle - 180, angle + 180, options.bisections
+    );
+
+    const angleTolerance = Math.min(angle - finalAngleInterval.low, finalAngleInterval.high - angle);
+    const powerTolerance = Math.min(power - powerInterval.low, powerInterval.high - power);
+
+    return {
+        angle: ((angle % 360) + 360) % 360,
+        power,
+        angleTolerance,
+        powerTolerance,
+        // Tolérance relative au pas de la grille, limitée par l'axe le plus serré
+        robustness: Math.min(angleTolerance / options.angleStep, powerTolerance / options.powerStep),
+        cells: cells.length,
+        result
+    };
+}
+
+// ===== SOLVEUR =====
+// Retourne les familles de tirs gagnants en un coup depuis start (départ du
+// niveau par défaut), de la plus robuste à la moins robuste :
+//   [{ angle, power, angleTolerance, powerTolerance, robustness, cells, result }]
+// angle en degrés, tolérances en demi-largeur ; cells : taille de la famille
+// sur la grille grossière ; result : trajectoire du tir retenu.
+
+export function solveLevel(level, options = {}) {
+    return analyseLevel(level, options).solutions;
+}
+
+// Comme solveLevel, avec la part de la grille grossière qui atteint
+// l'objectif : { solutions, winningCells, totalCells }
+export function analyseLevel(level, options = {}) {
+    const opts = { ...SOLVER_DEFAULTS, ...options };
+    const start = opts.start || level.startPos;
+    const simulation = opts.simulation || new Simulation(level);
+
+    const grid = coarseGrid(simulation, start, opts);
+    const families = findFamilies(grid).sort((a, b) => b.length - a.length);
+
+    const solutions = families
+        .slice(0, opts.maxFamilies)
+        .map(cells => refineFamily(simulation, start, cells, grid, opts))
+        .filter(Boolean)
+        .sort((a, b) => b.robustness - a.robustness);
+
+    return {
+        solutions,
+        winningCells: families.reduce((sum, cells) => sum + cells.length, 0),
+        totalCells: grid.angles.length * grid.powers.length
+    };
+}
+
+// Vrai si au moins une case de la grille grossière atteint l'objectif
+// (arrêt au premier succès, sans affinage)
+export function hasSolution(level, options = {}) {
+    const opts = { ...SOLVER_DEFAULTS, ...options };
+    const start = opts.start || level.startPos;
+    const simulation = opts.simulation || new Simulation(level);
+
+    for (let angle = 0; angle < 360; angle += opts.angleStep) {
+        for (let power = opts.minPower; power <= opts.maxPower + 1e-9; power += opts.powerStep) {
+            if (simulation.shoot(start, angle, power, opts.startTime).reachedGoal) return true;
+        }
+    }
+    return false;
+}
@@ -0,0 +1,19 @@
+/**
+ * Worker de calcul
+ * Reçoit les tâches de ComputeService et renvoie leurs résultats (voir compute.js)
+ */
+
+import { runTask } from './compute.js';
+
+self.addEventListener('message', (e) => {
+    const { id, type, payload } = e.data;
+
+    try {
+        const result = runTask(type, payload, (progress) => {
+            self.postMessage({ id, type: 'progress', progress });
+        });
+        self.postMessage({ id, type: 'result', result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+});
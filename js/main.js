@@ -3,11 +3,34 @@
  * Orchestre tous les composants
  */
 
-import { Renderer } from './engine/renderer.js';
+import {
+    Renderer,
+    OverlayMode,
+    CONTOUR_STEP,
+    CONTOUR_MAJOR,
+    SENSITIVITY_MIN,
+    SENSITIVITY_MAX,
+    MAX_UINT16_VERTICES
+} from './engine/renderer.js';
+import { OrbitControls } from './engine/camera.js';
 import { setMasses, gravitationalHeight } from './engine/physics.js';
+import { Simulation } from './engine/simulation.js';
+import { getPotentialModel, getPotentialModels, massScale } from './engine/potentials.js';
+import { massAt, hasMovingMasses } from './engine/motion.js';
 import { Projectile, ProjectileState } from './game/projectile.js';
-import { predefinedLevels, getLevelById } from './game/level.js';
-import { generateLevel } from './game/generator.js';
+import { Level, predefinedLevels, getLevelById } from './game/level.js';
+import { difficultyBandFor } from './game/generator.js';
+import { Scorecard, scoreLabel, formatRelativeToPar } from './game/scoring.js';
+import { LevelEditor } from './game/editor.js';
+import { SlingshotAim } from './game/slingshot.js';
+import { SaveManager } from './game/save.js';
+import {
+    ReplayRecorder, ReplayPlayer, ShotOutcome, shotOutcome, serializeReplay, parseReplay
+} from './game/replay.js';
+import { describeFailure } from './game/feedback.js';
+import { HintSystem, HintTier } from './game/hints.js';
+import { ComputeService } from './game/compute.js';
+import { FAN_SPREAD, FAN_COLORS } from './game/fan.js';
 
 // ===== ÉTAT DU JEU =====
 
@@ -16,9 +39,34 @@ const GamePhase = {
     AIMING: 'aiming',
     FLYING: 'flying',
     SUCCESS: 'success',
-    FAILED: 'failed'
+    GAME_OVER: 'gameover',
+    EDITING: 'editing',
+    REPLAY: 'replay'
 };
 
+// Masses mobiles : fréquence de recalcul de l'aperçu pendant la visée (s)
+const PREVIEW_REFRESH_INTERVAL = 0.05;
+
+// Masses mobiles : fréquence de recalcul de la carte de sensibilité (s), bien
+// plus basse que celle de l'aperçu pour ne pas monopoliser le worker
+const SENSITIVITY_REFRESH_INTERVAL = 1;
+
+// Niveaux générés de la liste, à la suite des niveaux prédéfinis
+const GENERATED_LEVEL_COUNT = 15;
+
+// Durée d'affichage des explications d'échec (ms)
+const FAILURE_MESSAGE_DURATION = 4000;
+
+// Téléchargement d'un contenu JSON sous forme de fichier
+function downloadJSON(filename, json) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
 class Game {
     constructor() {
         this.canvas = document.getElementById('glCanvas');
@@ -26,14 +74,73 @@ class Game {
         this.projectile = new Projectile();
 
         this.currentLevel = null;
+        this.simulation = null;
         this.currentLevelId = 1;
+        this.customLevels = [];
         this.phase = GamePhase.MENU;
         this.attempts = 0;
-        this.totalShots = 0;
+        this.scorecard = new Scorecard();
+
+        // Temps du champ (masses mobiles) : avance pendant la visée,
+        // suit le projectile pendant le vol, figé à 0 dans l'éditeur
+        this.fieldTime = 0;
+        this.previewAge = 0;
+
+        // Point du dernier tir raté le plus proche du portail (marqué sur la surface)
+        this.closestMarker = null;
+
+        // Indices progressifs, notés à côté du score du niveau
+        this.hints = new HintSystem();
+
+        // Calculs lourds dans un worker : aperçu, génération, solveur
+        this.compute = new ComputeService();
+        this.compute.onFallback = () => this.showWarning('Calculs sur le fil principal : le jeu peut ralentir');
+        if (this.compute.fallbackReason) this.compute.onFallback();
+        this.generatedBatch = null;
+        this.generatedLevels = new Map();
+        this.loadToken = 0;
+        this.hintPending = false;
+        this.difficultyPending = null;
+
+        // Carte de sensibilité affichée (ou en calcul) : niveau et réglages
+        this.sensitivityLevel = null;
+        this.sensitivityKey = null;
+        this.sensitivityTime = 0;
+        this.sensitivityPending = false;
+        this.sensitivityStale = false;
+
+        // Progression sauvegardée
+        this.save = new SaveManager();
+        this.save.onError = (text) => this.showWarning(text);
+        if (this.save.loadError) this.showWarning(this.save.loadError);
+        this.totalShots = this.save.totalShots;
+
+        // Historique des tirs et relecture
+        this.replays = new ReplayRecorder();
+        this.replayPlayer = null;
+
+        // Éditeur de niveau
+        this.editor = new LevelEditor(this.canvas, this.renderer, () => this.onEditorChange());
+        this.editedLevel = null;
+        this.testPlaying = false;
+
+        // Visée à la fronde (souris / tactile)
+        this.slingshot = new SlingshotAim(this.canvas, this.renderer, {
+            getAnchor: () => this.projectile.getPosition3D(),
+            isEnabled: () => this.phase === GamePhase.AIMING,
+            onAim: (angle, power) => this.setAim(angle, power),
+            onRelease: () => this.launch()
+        });
+
+        // Caméra orbitale : en dernier, l'éditeur et la fronde sont prioritaires
+        this.cameraControls = new OrbitControls(this.canvas, this.renderer.camera);
+        this.renderer.camera.followSource = () => this.getBallPosition();
+        this.renderer.camera.chaseSource = () => this.getFlightView();
 
         // Paramètres de visée
         this.aimAngle = 45;
         this.aimPower = 2;
+        this.showFan = false;
 
         // Animation
         this.lastTime = 0;
@@ -51,6 +158,7 @@ class Game {
         const launchBtn = document.getElementById('launchBtn');
         const resetBtn = document.getElementById('resetBtn');
         const nextBtn = document.getElementById('nextBtn');
+        const hintBtn = document.getElementById('hintBtn');
 
         angleSlider?.addEventListener('input', (e) => {
             this.aimAngle = parseFloat(e.target.value);
@@ -67,26 +175,164 @@ class Game {
         launchBtn?.addEventListener('click', () => this.launch());
         resetBtn?.addEventListener('click', () => this.resetLevel());
         nextBtn?.addEventListener('click', () => this.nextLevel());
+        hintBtn?.addEventListener('click', () => this.requestHint());
+
+        // Faisceau d'incertitude
+        const fanToggle = document.getElementById('fanToggle');
+        if (fanToggle) {
+            fanToggle.title = `Trajectoires pour l'angle ± ${FAN_SPREAD.angle}° ` +
+                `et la puissance ± ${FAN_SPREAD.power.toLocaleString('fr-FR')}`;
+            fanToggle.addEventListener('change', (e) => {
+                this.showFan = e.target.checked;
+                const legend = document.getElementById('fanLegend');
+                if (legend) legend.hidden = !this.showFan;
+
+                if (this.showFan) this.updateFan();
+                else this.clearFan();
+            });
+        }
 
         // Contrôles de caméra
         this.setupCameraControls();
 
+        // Surcouches de visualisation
+        this.setupOverlayControls();
+
         // Sélection de niveau
         this.setupLevelSelect();
+
+        // Import / export de niveaux
+        this.setupLevelFiles();
+
+        // Éditeur
+        this.setupEditor();
+
+        // Replays
+        this.setupReplays();
+
+        // Sauvegarde
+        this.setupSave();
     }
 
     setupCameraControls() {
         const controls = ['rotX', 'rotY', 'rotZ', 'distance'];
-        const suffixes = { rotX: '°', rotY: '°', rotZ: '°', distance: '' };
 
         for (const id of controls) {
             const slider = document.getElementById(id);
             slider?.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.renderer.camera[id] = value;
-                document.getElementById(`${id}Val`).textContent =
-                    value.toFixed(id === 'distance' ? 1 : 0) + suffixes[id];
+                this.renderer.camera.set({ [id]: parseFloat(e.target.value) });
+            });
+        }
+
+        document.getElementById('cameraMode')?.addEventListener('change', (e) => {
+            this.renderer.camera.setMode(e.target.value);
+        });
+
+        // Maillage de la surface
+        document.getElementById('meshResolution')?.addEventListener('change', (e) => {
+            this.renderer.setMeshOptions({ resolution: parseFloat(e.target.value) });
+            if (!this.renderer.uintIndices) {
+                this.showMessage(
+                    `Maillage limité à ${MAX_UINT16_VERTICES.toLocaleString('fr-FR')} sommets sur cet appareil`, 'info'
+                );
+            }
+        });
+        document.getElementById('meshRefine')?.addEventListener('change', (e) => {
+            this.renderer.setMeshOptions({ refine: e.target.checked });
+        });
+
+        for (const button of document.querySelectorAll('[data-camera-preset]')) {
+            button.addEventListener('click', () => {
+                this.renderer.camera.setPreset(button.dataset.cameraPreset);
+            });
+        }
+    }
+
+    setupOverlayControls() {
+        document.getElementById('overlayMode')?.addEventListener('change', (e) => {
+            this.setOverlay(e.target.value);
+        });
+
+        // Valeurs des légendes, tirées des réglages du renderer
+        const texts = {
+            contourStep: CONTOUR_STEP.toLocaleString('fr-FR'),
+            contourMajor: (CONTOUR_STEP * CONTOUR_MAJOR).toLocaleString('fr-FR'),
+            sensitivityMin: `×${(2 ** SENSITIVITY_MIN).toLocaleString('fr-FR')}`,
+            sensitivityMax: `×${(2 ** SENSITIVITY_MAX).toLocaleString('fr-FR')}`
+        };
+        for (const [id, text] of Object.entries(texts)) {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        }
+    }
+
+    setOverlay(mode) {
+        this.renderer.setOverlay(mode);
+
+        for (const legend of document.querySelectorAll('.legend[data-overlay]')) {
+            legend.hidden = legend.dataset.overlay !== this.renderer.overlay;
+        }
+
+        this.requestSensitivity();
+    }
+
+    // Carte de sensibilité pour la position et la puissance visées, calculée
+    // dans le worker ; une seule à la fois, la dernière demande est rejouée.
+    // Masses mobiles : recalculée au plus toutes les SENSITIVITY_REFRESH_INTERVAL
+    // secondes de champ si la visée n'a pas changé
+    requestSensitivity() {
+        if (this.renderer.overlay !== OverlayMode.SENSITIVITY) return;
+
+        const level = this.currentLevel;
+        if (!level) return;
+        if (this.sensitivityPending) {
+            this.sensitivityStale = true;
+            return;
+        }
+
+        const start = { x: this.projectile.pos.x, y: this.projectile.pos.y };
+        const key = JSON.stringify([level.masses, level.objects, start, this.aimPower]);
+        const fieldChanged = this.isFieldMoving() &&
+            Math.abs(this.fieldTime - this.sensitivityTime) >= SENSITIVITY_REFRESH_INTERVAL;
+        if (level === this.sensitivityLevel && key === this.sensitivityKey && !fieldChanged) return;
+
+        // Carte d'un autre niveau : effacée en attendant la nouvelle
+        if (level !== this.sensitivityLevel) this.renderer.setSensitivityMap(null);
+
+        this.sensitivityLevel = level;
+        this.sensitivityKey = key;
+        this.sensitivityTime = this.fieldTime;
+        this.sensitivityPending = true;
+
+        this.compute.sensitivity(level, start, this.aimPower, this.fieldTime)
+            .then((map) => {
+                if (level === this.currentLevel) this.renderer.setSensitivityMap(map);
+            })
+            .catch((err) => this.showWarning(`Carte de sensibilité indisponible : ${err.message}`))
+            .finally(() => {
+                this.sensitivityPending = false;
+                if (this.sensitivityStale) {
+                    this.sensitivityStale = false;
+                    this.requestSensitivity();
+                }
             });
+    }
+
+    // Les sliders reflètent l'état visé par la caméra (souris, préréglages...)
+    syncCameraControls() {
+        const state = this.renderer.camera.getGoalState();
+        const suffixes = { rotX: '°', rotY: '°', rotZ: '°', distance: '' };
+
+        for (const id of Object.keys(suffixes)) {
+            const slider = document.getElementById(id);
+            if (slider && parseFloat(slider.value) !== state[id]) {
+                slider.value = state[id];
+            }
+
+            const label = document.getElementById(`${id}Val`);
+            if (label) {
+                label.textContent = state[id].toFixed(id === 'distance' ? 1 : 0) + suffixes[id];
+            }
         }
     }
 
@@ -98,7 +344,7 @@ class Game {
         for (const level of predefinedLevels) {
             const option = document.createElement('option');
             option.value = level.id;
-            option.textContent = `${level.id}. ${level.name}`;
+            option.dataset.label = `${level.id}. ${level.name}`;
             select.appendChild(option);
         }
 
@@ -108,30 +354,262 @@ class Game {
         separator.textContent = '── Niveaux générés ──';
         select.appendChild(separator);
 
-        for (let i = 6; i <= 20; i++) {
+        const first = predefinedLevels.length + 1;
+        for (let i = first; i < first + GENERATED_LEVEL_COUNT; i++) {
             const option = document.createElement('option');
             option.value = i;
-            option.textContent = `${i}. Niveau généré`;
+            option.dataset.label = this.generatedLevelLabel(i);
             select.appendChild(option);
         }
 
+        this.refreshLevelSelect();
+
         select.addEventListener('change', (e) => {
-            this.loadLevel(parseInt(e.target.value));
+            const value = e.target.value;
+            this.loadLevel(/^\d+$/.test(value) ? parseInt(value) : value);
         });
     }
 
-    loadLevel(levelId) {
-        this.currentLevelId = levelId;
+    // Difficulté calculée affichée une fois le niveau généré
+    generatedLevelLabel(levelId, level = null) {
+        const estimate = level?.difficultyEstimate;
+        if (estimate?.solvable) {
+            return `${levelId}. Niveau généré · difficulté ${estimate.score.toFixed(1)}`;
+        }
+        return `${levelId}. Niveau généré`;
+    }
+
+    // Marques de progression : ✓ réussi, 🔒 verrouillé
+    refreshLevelSelect() {
+        const select = document.getElementById('levelSelect');
+        if (!select) return;
+
+        for (const option of select.options) {
+            if (!option.dataset.label) continue;
+
+            const id = parseInt(option.value);
+            const unlocked = this.save.isUnlocked(id);
+            const mark = this.save.isCompleted(id) ? '✓ ' : unlocked ? '' : '🔒 ';
+            option.textContent = mark + option.dataset.label;
+            option.disabled = !unlocked;
+        }
+    }
+
+    setupSave() {
+        document.getElementById('saveExportBtn')?.addEventListener('click', () => {
+            downloadJSON('geodesic-sauvegarde.json', this.save.export());
+        });
+
+        document.getElementById('saveResetBtn')?.addEventListener('click', () => {
+            if (!window.confirm('Effacer toute la progression sauvegardée ?')) return;
+
+            this.save.reset();
+            this.totalShots = 0;
+            this.refreshLevelSelect();
+            this.updateSaveInfo();
+            this.updateLevelInfo();
 
-        // Charger niveau prédéfini ou générer
+            const select = document.getElementById('levelSelect');
+            if (select) select.value = 1;
+            this.loadLevel(1);
+        });
+
+        this.updateSaveInfo();
+    }
+
+    updateSaveInfo() {
+        const info = document.getElementById('saveInfo');
+        if (!info) return;
+
+        const unlocked = this.save.data.unlocked.length;
+        info.textContent = `${this.save.getCompletedCount()} niveau(x) réussi(s) · ${unlocked} débloqué(s)`;
+    }
+
+    setupLevelFiles() {
+        const exportBtn = document.getElementById('exportLevelBtn');
+        const importBtn = document.getElementById('importLevelBtn');
+        const fileInput = document.getElementById('importLevelFile');
+
+        exportBtn?.addEventListener('click', () => this.exportLevel());
+        importBtn?.addEventListener('click', () => fileInput?.click());
+
+        fileInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                this.importLevel(await file.text());
+            } catch (err) {
+                this.showImportError(`${file.name} : ${err.message}`);
+            }
+        });
+    }
+
+    exportLevel() {
+        if (!this.currentLevel) return;
+
+        const slug = this.currentLevel.name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-zA-Z0-9]+/g, '-')
+            .replace(/^-|-$/g, '')
+            .toLowerCase();
+
+        downloadJSON(
+            `niveau-${slug || this.currentLevel.id}.json`,
+            JSON.stringify(this.currentLevel, null, 2)
+        );
+    }
+
+    importLevel(json) {
+        const id = `custom-${this.customLevels.length + 1}`;
+        const level = Level.fromJSON(json, id);
+        this.customLevels.push(level);
+
+        const select = document.getElementById('levelSelect');
+        if (select) {
+            if (this.customLevels.length === 1) {
+                const separator = document.createElement('option');
+                separator.disabled = true;
+                separator.textContent = '── Niveaux importés ──';
+                select.appendChild(separator);
+            }
+
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `★ ${level.name}`;
+            select.appendChild(option);
+            select.value = id;
+        }
+
+        this.showImportError(null);
+        this.loadLevel(id);
+    }
+
+    showImportError(text) {
+        const errorEl = document.getElementById('importError');
+        if (!errorEl) return;
+
+        errorEl.textContent = text || '';
+        errorEl.style.display = text ? 'block' : 'none';
+    }
+
+    resolveLevel(levelId) {
+        if (typeof levelId === 'string') {
+            return this.customLevels.find(l => l.id === levelId) || null;
+        }
+
+        // Niveau prédéfini ou généré (calculé une fois par session)
         if (levelId <= predefinedLevels.length) {
-            this.currentLevel = getLevelById(levelId);
-        } else {
-            this.currentLevel = generateLevel(levelId);
+            return getLevelById(levelId);
+        }
+        if (levelId <= predefinedLevels.length + GENERATED_LEVEL_COUNT) {
+            return this.loadGeneratedLevels()
+                .then((levels) => levels[levelId - predefinedLevels.length - 1]);
+        }
+
+        // Au-delà de la liste : un niveau à la fois, dans l'ordre des bandes
+        if (!this.generatedLevels.has(levelId)) {
+            const pending = this.generateInBackground(levelId, { difficulty: difficultyBandFor(levelId) });
+            this.generatedLevels.set(levelId, pending);
+            pending
+                .then((level) => this.labelGeneratedLevel(level))
+                .catch(() => this.generatedLevels.delete(levelId));
+        }
+        return this.generatedLevels.get(levelId);
+    }
+
+    // Niveaux générés de la liste, calculés en un lot (generateLevelBatch) puis
+    // renumérotés par difficulté calculée croissante : le premier est le plus
+    // facile. Leurs parties sont enregistrées avec le niveau (voir beginReplayRun).
+    loadGeneratedLevels() {
+        if (!this.generatedBatch) {
+            const first = predefinedLevels.length + 1;
+            const label = 'Génération des niveaux…';
+            this.setLoading(label, 0);
+
+            this.generatedBatch = this.compute
+                .generateBatch(first, GENERATED_LEVEL_COUNT, {}, (progress) => this.setLoading(label, progress))
+                .then((levels) => {
+                    levels.forEach((level, rank) => {
+                        level.id = first + rank;
+                        level.name = `Niveau ${level.id}`;
+                        this.labelGeneratedLevel(level);
+                    });
+                    return levels;
+                })
+                .finally(() => this.setLoading(null));
+            this.generatedBatch.catch(() => { this.generatedBatch = null; });
         }
+        return this.generatedBatch;
+    }
+
+    labelGeneratedLevel(level) {
+        const option = document.querySelector(`#levelSelect option[value="${level.id}"]`);
+        if (!option) return;
+
+        option.dataset.label = this.generatedLevelLabel(level.id, level);
+        this.refreshLevelSelect();
+    }
+
+    // Génération dans le worker, avec progression affichée
+    generateInBackground(levelId, options) {
+        const label = `Génération du niveau ${levelId}…`;
+        this.setLoading(label, 0);
+        return this.compute.generate(levelId, options, (progress) => this.setLoading(label, progress))
+            .finally(() => this.setLoading(null));
+    }
+
+    // text : null pour masquer ; progress : fraction, ou null si inconnue
+    setLoading(text, progress = null) {
+        const loadingEl = document.getElementById('loading');
+        if (!loadingEl) return;
+
+        loadingEl.style.display = text ? 'block' : 'none';
+        const textEl = document.getElementById('loadingText');
+        if (textEl) textEl.textContent = text || '';
+        const bar = document.getElementById('loadingBar');
+        if (bar) {
+            bar.parentElement.style.display = progress === null ? 'none' : 'block';
+            bar.style.width = `${Math.round((progress ?? 0) * 100)}%`;
+        }
+    }
+
+    // Les niveaux générés arrivent du worker : seul le dernier demandé est chargé
+    async loadLevel(levelId) {
+        const token = ++this.loadToken;
+        document.getElementById('launchBtn')?.setAttribute('disabled', 'true');
+
+        let level;
+        try {
+            level = await this.resolveLevel(levelId);
+        } catch (err) {
+            this.showMessage(`Génération du niveau impossible : ${err.message}`, 'failed');
+            if (this.phase === GamePhase.AIMING) {
+                document.getElementById('launchBtn')?.removeAttribute('disabled');
+            }
+            return;
+        }
+        if (!level || token !== this.loadToken) return;
+
+        this.currentLevelId = levelId;
+        this.replayPlayer = null;
+        this.updateReplayUI();
+        this.editor.close();
+        this.testPlaying = false;
+        this.updateEditorUI();
+
+        this.startLevel(level);
+    }
+
+    startLevel(level) {
+        this.currentLevel = level;
 
         // Configurer la physique
         setMasses(this.currentLevel.masses);
+        this.simulation = new Simulation(this.currentLevel);
+        this.checkMassCapacity(this.currentLevel);
 
         // Réinitialiser le projectile
         this.projectile.reset();
@@ -143,6 +621,10 @@ class Game {
         // État du jeu
         this.phase = GamePhase.AIMING;
         this.attempts = 0;
+        this.fieldTime = 0;
+        this.closestMarker = null;
+        this.hints.reset();
+        this.beginReplayRun();
 
         // Mettre à jour l'UI
         this.updateLevelInfo();
@@ -166,30 +648,544 @@ class Game {
         if (attemptsDisplay) {
             attemptsDisplay.textContent = this.attempts;
         }
+
+        const totalDisplay = document.getElementById('totalShots');
+        if (totalDisplay) {
+            totalDisplay.textContent = this.totalShots;
+        }
+
+        const bestDisplay = document.getElementById('bestStrokes');
+        if (bestDisplay) {
+            const saved = typeof this.currentLevelId === 'number' ?
+                this.save.getLevel(this.currentLevelId) : null;
+            bestDisplay.textContent = saved?.completed ?
+                `${saved.bestStrokes}${saved.hints ? ` (💡${saved.hints})` : ''}` : '–';
+        }
+
+        const difficultyDisplay = document.getElementById('difficulty');
+        if (difficultyDisplay && this.currentLevel) {
+            const estimate = this.currentLevel.difficultyEstimate;
+            if (estimate) {
+                difficultyDisplay.textContent = estimate.solvable ? estimate.score.toFixed(1) : '?';
+                difficultyDisplay.title = `Zone gagnante : ${(estimate.winningFraction * 100).toFixed(1)} %, ` +
+                    `masses frôlées : ${estimate.interactions}`;
+            } else {
+                difficultyDisplay.textContent = '…';
+                this.requestDifficulty(this.currentLevel);
+            }
+        }
+
+        const hintsDisplay = document.getElementById('hintsUsed');
+        if (hintsDisplay) {
+            hintsDisplay.textContent = this.hints.used;
+        }
+
+        const parDisplay = document.getElementById('par');
+        if (parDisplay && this.currentLevel) {
+            parDisplay.textContent = this.currentLevel.parShots;
+        }
+
+        const maxDisplay = document.getElementById('maxAttempts');
+        if (maxDisplay && this.currentLevel) {
+            const max = this.currentLevel.maxAttempts;
+            maxDisplay.textContent = Number.isFinite(max) ? max : '∞';
+        }
+    }
+
+    // Difficulté calculée dans le worker, affichée à son retour
+    requestDifficulty(level) {
+        if (this.difficultyPending === level) return;
+        this.difficultyPending = level;
+
+        this.compute.estimateDifficulty(level)
+            .then((estimate) => {
+                level.difficultyEstimate = estimate;
+                if (level === this.currentLevel) this.updateLevelInfo();
+            })
+            .catch((err) => this.showWarning(`Difficulté indisponible : ${err.message}`))
+            .finally(() => {
+                if (this.difficultyPending === level) this.difficultyPending = null;
+            });
+    }
+
+    updateScorecard() {
+        const container = document.getElementById('scorecard');
+        if (!container) return;
+
+        const entries = this.scorecard.getEntries();
+        if (entries.length === 0) {
+            container.innerHTML = '<span style="color: #666">Aucun niveau joué</span>';
+            return;
+        }
+
+        const rows = entries.map(entry => `
+            <tr class="${entry.completed ? '' : 'lost'}">
+                <td>${entry.levelId}</td>
+                <td>${entry.par}</td>
+                <td>${entry.strokes}</td>
+                <td>
+                    ${entry.completed ? formatRelativeToPar(entry.strokes, entry.par) : '✗'}
+                    ${entry.hints ? `💡${entry.hints}` : ''}
+                </td>
+            </tr>
+        `).join('');
+
+        const total = this.scorecard.getTotalRelativeToPar();
+        container.innerHTML = `
+            <table>
+                <tr><th>Niv.</th><th>Par</th><th>Coups</th><th>Score</th></tr>
+                ${rows}
+            </table>
+            <div class="total">Total : <strong>${total === 0 ? 'E' : (total > 0 ? '+' : '') + total}</strong></div>
+        `;
+    }
+
+    // ===== ÉDITEUR =====
+
+    setupEditor() {
+        const editBtn = document.getElementById('editBtn');
+        const testBtn = document.getElementById('testBtn');
+        const deleteBtn = document.getElementById('deleteMassBtn');
+        const strengthSlider = document.getElementById('massStrength');
+        const modelSelect = document.getElementById('massModel');
+        const scaleSlider = document.getElementById('massScale');
+        const motionSelect = document.getElementById('massMotion');
+
+        if (modelSelect) {
+            for (const model of getPotentialModels()) {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.label;
+                modelSelect.appendChild(option);
+            }
+        }
+
+        editBtn?.addEventListener('click', () => {
+            if (this.phase === GamePhase.EDITING || this.testPlaying) {
+                this.exitEditor();
+            } else {
+                this.enterEditor();
+            }
+        });
+
+        testBtn?.addEventListener('click', () => {
+            if (this.testPlaying) {
+                this.enterEditor();
+            } else {
+                this.startTestPlay();
+            }
+        });
+
+        deleteBtn?.addEventListener('click', () => this.editor.deleteSelected());
+
+        strengthSlider?.addEventListener('input', (e) => {
+            this.editor.setSelectedStrength(parseFloat(e.target.value));
+        });
+
+        modelSelect?.addEventListener('change', (e) => {
+            this.editor.setSelectedModel(e.target.value);
+            this.updateEditorUI();
+        });
+
+        scaleSlider?.addEventListener('input', (e) => {
+            this.editor.setSelectedScale(parseFloat(e.target.value));
+        });
+
+        motionSelect?.addEventListener('change', (e) => {
+            this.editor.setSelectedMotion(e.target.value);
+        });
+    }
+
+    enterEditor() {
+        // Depuis le test, on reprend le niveau en cours d'édition ;
+        // sinon on édite une copie du niveau courant
+        if (!this.testPlaying) {
+            this.editedLevel = Level.fromJSON(this.currentLevel.toJSON(), 'editor');
+        }
+        this.testPlaying = false;
+
+        this.currentLevel = this.editedLevel;
+        setMasses(this.currentLevel.masses);
+        this.simulation = new Simulation(this.currentLevel);
+        this.checkMassCapacity(this.currentLevel);
+
+        this.projectile.reset();
+        this.phase = GamePhase.EDITING;
+        this.attempts = 0;
+        this.fieldTime = 0;
+
+        document.getElementById('launchBtn')?.setAttribute('disabled', 'true');
+        document.getElementById('nextBtn')?.setAttribute('disabled', 'true');
+
+        this.editor.open(this.currentLevel);
+        this.updateEditorUI();
+    }
+
+    exitEditor() {
+        this.loadLevel(this.currentLevelId);
+    }
+
+    startTestPlay() {
+        this.editor.close();
+        this.testPlaying = true;
+        this.startLevel(this.editedLevel);
+        this.updateEditorUI();
+    }
+
+    onEditorChange() {
+        const level = this.editor.level;
+        level.invalidateDifficulty();
+        this.checkMassCapacity(level);
+        this.projectile.setStartPosition(level.startPos.x, level.startPos.y);
+        this.updateAim();
+        this.updateEditorUI();
+    }
+
+    updateEditorUI() {
+        const editing = this.phase === GamePhase.EDITING;
+        const inEditor = editing || this.testPlaying;
+
+        const editBtn = document.getElementById('editBtn');
+        if (editBtn) editBtn.textContent = inEditor ? '✕ Quitter' : '✎ Éditer';
+
+        const testBtn = document.getElementById('testBtn');
+        if (testBtn) {
+            testBtn.textContent = this.testPlaying ? '✎ Retour' : '▶ Tester';
+            testBtn.disabled = !inEditor;
+        }
+
+        const tools = document.getElementById('editorTools');
+        if (tools) tools.hidden = !editing;
+
+        const mass = this.editor.getSelectedMass();
+        const deleteBtn = document.getElementById('deleteMassBtn');
+        if (deleteBtn) deleteBtn.disabled = !mass;
+
+        const strengthSlider = document.getElementById('massStrength');
+        const strength = mass ? mass.strength : this.editor.newMassStrength;
+        if (strengthSlider) strengthSlider.value = strength;
+        const strengthVal = document.getElementById('massStrengthVal');
+        if (strengthVal) strengthVal.textContent = strength.toFixed(1);
+
+        const model = getPotentialModel(mass ? mass.model : this.editor.newMassModel);
+        const modelSelect = document.getElementById('massModel');
+        if (modelSelect) modelSelect.value = model.id;
+
+        // L'échelle ne s'applique qu'à une masse existante
+        const scale = mass ? massScale(mass) : model.scale.default;
+        const scaleSlider = document.getElementById('massScale');
+        if (scaleSlider) {
+            scaleSlider.min = model.scale.min;
+            scaleSlider.max = model.scale.max;
+            scaleSlider.value = scale;
+            scaleSlider.disabled = !mass;
+        }
+        const scaleLabel = document.getElementById('massScaleLabel');
+        if (scaleLabel) scaleLabel.textContent = `${model.scale.label} :`;
+        const scaleVal = document.getElementById('massScaleVal');
+        if (scaleVal) scaleVal.textContent = scale.toFixed(2);
+
+        const motionSelect = document.getElementById('massMotion');
+        if (motionSelect) {
+            motionSelect.value = mass?.motion?.type || '';
+            motionSelect.disabled = !mass;
+        }
+    }
+
+    // ===== REPLAYS =====
+
+    setupReplays() {
+        const fileInput = document.getElementById('replayImportFile');
+
+        document.getElementById('replayWatchBtn')?.addEventListener('click', () => {
+            const run = this.getSelectedRun();
+            if (run) this.watchReplay(run);
+        });
+
+        document.getElementById('replayExportBtn')?.addEventListener('click', () => {
+            const run = this.getSelectedRun();
+            if (!run) return;
+            const name = run.levelId !== null ? `niveau-${run.levelId}` : 'niveau-perso';
+            downloadJSON(`replay-${name}.json`, serializeReplay(run));
+        });
+
+        document.getElementById('replayImportBtn')?.addEventListener('click', () => fileInput?.click());
+
+        fileInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const run = parseReplay(await file.text());
+                this.replays.add(run);
+                this.updateReplayList();
+                this.showImportError(null);
+            } catch (err) {
+                this.showImportError(`${file.name} : ${err.message}`);
+            }
+        });
+
+        document.getElementById('replayPauseBtn')?.addEventListener('click', () => {
+            this.replayPlayer?.togglePause();
+            this.updateReplayControls();
+        });
+
+        document.getElementById('replayExitBtn')?.addEventListener('click', () => this.exitReplay());
+
+        document.getElementById('replayScrub')?.addEventListener('input', (e) => {
+            if (!this.replayPlayer) return;
+            this.replayPlayer.playing = false;
+            this.replayPlayer.seek(parseFloat(e.target.value) / 1000);
+        });
+
+        document.getElementById('replaySpeed')?.addEventListener('change', (e) => {
+            if (this.replayPlayer) this.replayPlayer.speed = parseFloat(e.target.value);
+        });
+    }
+
+    // Nouvelle partie dans l'historique. Seuls les niveaux prédéfinis et ceux
+    // générés un à un se retrouvent par identifiant et graine ; les autres
+    // (lot renuméroté, personnalisés, test de l'éditeur) : JSON inclus.
+    beginReplayRun() {
+        const level = this.currentLevel;
+        const id = this.currentLevelId;
+        const reproducible = typeof id === 'number' && !this.testPlaying &&
+            (id <= predefinedLevels.length || id > predefinedLevels.length + GENERATED_LEVEL_COUNT);
+
+        this.replays.startRun(
+            reproducible ? this.currentLevelId : null,
+            level.seed,
+            reproducible ? null : level.toJSON()
+        );
+    }
+
+    getSelectedRun() {
+        const select = document.getElementById('replaySelect');
+        if (!select || select.value === '') return null;
+        return this.replays.getRuns()[parseInt(select.value)] || null;
+    }
+
+    resolveReplayLevel(run) {
+        if (run.level) return Level.fromJSON(run.level, 'replay');
+        if (run.levelId <= predefinedLevels.length) return getLevelById(run.levelId);
+        return this.generateInBackground(run.levelId, {
+            seed: run.seed,
+            difficulty: difficultyBandFor(run.levelId)
+        });
+    }
+
+    async watchReplay(run) {
+        if (this.phase === GamePhase.FLYING) return;
+
+        const token = ++this.loadToken;
+        let level;
+        try {
+            level = await this.resolveReplayLevel(run);
+        } catch (err) {
+            this.showImportError(err.message);
+            return;
+        }
+        if (!level || token !== this.loadToken || this.phase === GamePhase.FLYING) return;
+
+        this.editor.close();
+        this.testPlaying = false;
+        this.updateEditorUI();
+
+        this.currentLevel = level;
+        setMasses(level.masses);
+        this.simulation = new Simulation(level);
+        this.checkMassCapacity(level);
+        this.replayPlayer = new ReplayPlayer(run, level);
+        this.clearFan();
+        this.phase = GamePhase.REPLAY;
+
+        document.getElementById('launchBtn')?.setAttribute('disabled', 'true');
+        document.getElementById('nextBtn')?.setAttribute('disabled', 'true');
+        this.updateLevelInfo();
+        this.updateReplayUI();
+
+        if (this.replayPlayer.isDesynced()) {
+            this.showMessage('⚠ La relecture diffère de la partie enregistrée', 'failed');
+        }
+    }
+
+    exitReplay() {
+        if (this.phase !== GamePhase.REPLAY) return;
+        this.loadLevel(this.currentLevelId);
+    }
+
+    updateReplayList() {
+        const select = document.getElementById('replaySelect');
+        if (!select) return;
+
+        const runs = this.replays.getRuns();
+        select.innerHTML = '';
+        runs.forEach((run, i) => {
+            const option = document.createElement('option');
+            const solved = run.shots.some(s => s.outcome === ShotOutcome.GOAL);
+            const label = run.levelId !== null ? `Niv. ${run.levelId}` : `★ ${run.level?.name || 'Niveau perso'}`;
+            option.value = i;
+            option.textContent = `${label} — ${run.shots.length} tir${run.shots.length > 1 ? 's' : ''}${solved ? ' ✓' : ''}`;
+            select.appendChild(option);
+        });
+
+        const empty = runs.length === 0;
+        document.getElementById('replayWatchBtn')?.toggleAttribute('disabled', empty);
+        document.getElementById('replayExportBtn')?.toggleAttribute('disabled', empty);
+    }
+
+    updateReplayUI() {
+        const controls = document.getElementById('replayControls');
+        if (controls) controls.hidden = !this.replayPlayer;
+        this.updateReplayControls();
+    }
+
+    updateReplayControls() {
+        const player = this.replayPlayer;
+        if (!player) return;
+
+        const pauseBtn = document.getElementById('replayPauseBtn');
+        if (pauseBtn) pauseBtn.textContent = player.playing ? '⏸ Pause' : '▶ Lecture';
+
+        const scrub = document.getElementById('replayScrub');
+        if (scrub && document.activeElement !== scrub) {
+            scrub.value = Math.round(player.getProgress() * 1000);
+        }
+
+        const frame = player.getFrame();
+        const info = document.getElementById('replayShot');
+        if (info) info.textContent = `${frame.shotIndex + 1}/${player.shots.length}`;
+    }
+
+    // Visée pilotée hors des sliders : on garde les sliders synchronisés
+    setAim(angle, power) {
+        this.aimAngle = angle;
+        this.aimPower = power;
+
+        const angleSlider = document.getElementById('angle');
+        if (angleSlider) angleSlider.value = angle;
+        const angleVal = document.getElementById('angleVal');
+        if (angleVal) angleVal.textContent = `${angle.toFixed(1)}°`;
+
+        const powerSlider = document.getElementById('power');
+        if (powerSlider) powerSlider.value = power;
+        const powerVal = document.getElementById('powerVal');
+        if (powerVal) powerVal.textContent = power.toFixed(1);
+
+        this.updateAim();
     }
 
     updateAim() {
-        if (this.phase !== GamePhase.AIMING) return;
+        if (this.phase !== GamePhase.AIMING && this.phase !== GamePhase.EDITING) return;
 
         this.projectile.state = ProjectileState.AIMING;
         this.projectile.setAimParameters(this.aimAngle, this.aimPower);
+        this.previewAge = 0;
 
-        this.projectile.computePreview(
-            this.currentLevel.goalPos,
-            this.currentLevel.goalRadius,
-            this.currentLevel.bounds
-        );
+        // Calcul dans le worker ; les demandes dépassées reviennent à null
+        const level = this.currentLevel;
+        const startTime = this.fieldTime;
+        this.compute.preview(level, this.projectile.pos, this.projectile.vel, startTime)
+            .then((result) => {
+                if (!result || level !== this.currentLevel) return;
+                if (this.projectile.state !== ProjectileState.AIMING) return;
 
-        // Mettre à jour la trajectoire dans le renderer
-        this.renderer.setTrajectory(this.projectile.previewTrajectory);
+                this.projectile.setPreview(result, startTime);
+                this.renderer.setTrajectory(this.projectile.previewTrajectory);
+            })
+            .catch((err) => this.showWarning(`Aperçu impossible : ${err.message}`));
+
+        this.updateFan();
+        this.requestSensitivity();
+    }
+
+    // Faisceau d'incertitude autour de la visée courante, coloré par issue
+    updateFan() {
+        if (!this.showFan) return;
+        if (this.phase !== GamePhase.AIMING && this.phase !== GamePhase.EDITING) return;
+
+        const level = this.currentLevel;
+        const startTime = this.fieldTime;
+        this.compute.fan(level, this.projectile.pos, this.aimAngle, this.aimPower, startTime)
+            .then((fan) => {
+                if (!fan || !this.showFan || level !== this.currentLevel) return;
+                if (this.projectile.state !== ProjectileState.AIMING) return;
+
+                this.renderer.setTrajectoryBundle(fan.lines.map(line => ({
+                    points: line.points,
+                    color: FAN_COLORS[line.outcome]
+                })));
+
+                const summary = document.getElementById('fanSummary');
+                if (summary) summary.textContent = `${fan.goalCount}/${fan.lines.length}`;
+            })
+            .catch((err) => this.showWarning(`Faisceau impossible : ${err.message}`));
+    }
+
+    clearFan() {
+        this.renderer.setTrajectoryBundle([]);
+
+        const summary = document.getElementById('fanSummary');
+        if (summary) summary.textContent = '';
+    }
+
+    // Palier suivant : direction, trajectoire fantôme, puis visée exacte
+    async requestHint() {
+        if (this.phase !== GamePhase.AIMING || this.hintPending) return;
+
+        const level = this.currentLevel;
+        const start = { ...this.projectile.pos };
+        this.hintPending = true;
+        this.setLoading('Recherche d\'un tir gagnant…');
+
+        let solutions;
+        try {
+            solutions = await this.compute.solve(level, { start, startTime: this.fieldTime });
+        } catch (err) {
+            this.showWarning(`Solveur indisponible : ${err.message}`);
+            return;
+        } finally {
+            this.hintPending = false;
+            this.setLoading(null);
+        }
+
+        // Le tir a pu partir, ou le niveau changer, pendant la recherche
+        if (this.phase !== GamePhase.AIMING || level !== this.currentLevel) return;
+        if (start.x !== this.projectile.pos.x || start.y !== this.projectile.pos.y) return;
+
+        const hint = this.hints.request(solutions[0] || null, start);
+        if (!hint) {
+            this.showMessage('Aucun tir direct trouvé depuis cette position', 'info');
+            return;
+        }
+
+        if (hint.tier === HintTier.DIRECTION) {
+            this.showMessage(`💡 Visez vers ${hint.roughAngle}° environ`, 'info', 3000);
+        } else if (hint.tier === HintTier.GHOST) {
+            this.showMessage('💡 Suivez la trajectoire fantôme', 'info', 3000);
+        } else {
+            this.setAim(hint.angle, hint.power);
+            this.showMessage('💡 Visée réglée sur un tir gagnant', 'info', 3000);
+        }
+        this.updateLevelInfo();
     }
 
     launch() {
         if (this.phase !== GamePhase.AIMING) return;
 
+        // Le tir part de l'état exact du champ et de la visée à cet instant,
+        // même si l'aperçu du worker n'est pas encore revenu
+        this.projectile.computePreview(this.simulation, this.fieldTime);
+        this.renderer.setTrajectory(this.projectile.previewTrajectory);
+        this.clearFan();
+
         this.phase = GamePhase.FLYING;
+        this.closestMarker = null;
+        this.hints.clear();
         this.attempts++;
         this.totalShots++;
+        this.save.recordShot();
 
         this.projectile.launch();
 
@@ -198,6 +1194,8 @@ class Game {
     }
 
     resetLevel() {
+        if (this.phase === GamePhase.EDITING || this.phase === GamePhase.REPLAY) return;
+
         this.projectile.reset();
         this.projectile.setStartPosition(
             this.currentLevel.startPos.x,
@@ -205,7 +1203,14 @@ class Game {
         );
 
         this.phase = GamePhase.AIMING;
+        this.attempts = 0;
+        this.fieldTime = 0;
+        this.closestMarker = null;
+        this.hints.reset();
+        this.beginReplayRun();
         this.renderer.setTrajectory([]);
+        this.clearFan();
+        this.updateLevelInfo();
 
         document.getElementById('launchBtn')?.removeAttribute('disabled');
         document.getElementById('nextBtn')?.setAttribute('disabled', 'true');
@@ -213,8 +1218,8 @@ class Game {
         this.updateAim();
     }
 
-    nextLevel() {
-        this.loadLevel(this.currentLevelId + 1);
+    async nextLevel() {
+        await this.loadLevel(this.currentLevelId + 1);
 
         // Mettre à jour le sélecteur
         const select = document.getElementById('levelSelect');
@@ -223,57 +1228,206 @@ class Game {
         }
     }
 
+    isFieldMoving() {
+        return this.currentLevel !== null && hasMovingMasses(this.currentLevel.masses);
+    }
+
     update(deltaTime) {
+        if (this.phase === GamePhase.REPLAY) {
+            this.replayPlayer.update(deltaTime);
+            const frame = this.replayPlayer.getFrame();
+            this.fieldTime = frame.point.t;
+            this.renderer.setTrajectory(frame.remaining);
+            this.updateReplayControls();
+        }
+
+        // Hors vol, le champ continue d'évoluer et l'aperçu le suit
+        const idle = this.phase === GamePhase.AIMING ||
+                     this.phase === GamePhase.SUCCESS ||
+                     this.phase === GamePhase.GAME_OVER;
+        if (idle && this.isFieldMoving()) {
+            this.fieldTime += deltaTime;
+            this.previewAge += deltaTime;
+            if (this.phase === GamePhase.AIMING && this.previewAge >= PREVIEW_REFRESH_INTERVAL) {
+                this.updateAim();
+            }
+        }
+
         if (this.phase === GamePhase.FLYING) {
             const result = this.projectile.update(deltaTime, this.animationSpeed);
+            this.fieldTime = this.projectile.time;
+
+            // Mettre à jour la trajectoire restante
+            this.renderer.setTrajectory(this.projectile.getCurrentTrajectory());
 
             if (result?.finished) {
-                if (result.reachedGoal) {
-                    this.phase = GamePhase.SUCCESS;
-                    this.showMessage('🎉 Victoire !', 'success');
-                    document.getElementById('nextBtn')?.removeAttribute('disabled');
-                } else {
-                    this.phase = GamePhase.FAILED;
-                    this.showMessage('Raté ! Réessayez.', 'failed');
-                    document.getElementById('launchBtn')?.removeAttribute('disabled');
+                this.finishShot(result);
+            }
+        }
+    }
+
+    finishShot(result) {
+        const level = this.currentLevel;
+
+        const outcome = shotOutcome(result);
+        this.replays.recordShot(
+            this.projectile.startPos,
+            this.projectile.angle,
+            this.projectile.power,
+            outcome,
+            this.projectile.startTime
+        );
+        this.updateReplayList();
+
+        if (result.reachedGoal) {
+            this.phase = GamePhase.SUCCESS;
+            let newBest = false;
+            if (!this.testPlaying) {
+                this.scorecard.record(
+                    level.id, level.name, this.attempts, level.parShots, true, this.hints.used
+                );
+                this.updateScorecard();
+
+                // Seuls les niveaux numérotés sont reproductibles d'une session à l'autre
+                if (typeof this.currentLevelId === 'number') {
+                    newBest = this.save.recordCompletion(
+                        this.currentLevelId, this.attempts, this.replays.current.shots, this.hints.used
+                    );
+                    this.refreshLevelSelect();
+                    this.updateSaveInfo();
                 }
             }
 
-            // Mettre à jour la trajectoire restante
-            this.renderer.setTrajectory(this.projectile.getCurrentTrajectory());
+            const label = scoreLabel(this.attempts, level.parShots);
+            const hintNote = this.hints.used > 0 ?
+                ` (${this.hints.used} indice${this.hints.used > 1 ? 's' : ''})` : '';
+            this.showMessage(`🎉 ${label}${hintNote} !${newBest ? ' Nouveau record' : ''}`, 'success');
+
+            // Pas de "niveau suivant" pour les niveaux importés ou en test
+            if (typeof this.currentLevelId === 'number' && !this.testPlaying) {
+                document.getElementById('nextBtn')?.removeAttribute('disabled');
+            }
+            return;
+        }
+
+        // Sortie de zone, capture ou absorption : on rejoue depuis la position
+        // précédente, sinon le projectile reste là où il s'est arrêté
+        const lost = result.outOfBounds || result.captured || result.absorbed;
+        const restPos = lost ? this.projectile.startPos : this.projectile.pos;
+        this.projectile.settle(restPos.x, restPos.y);
+        this.renderer.setTrajectory([]);
+        this.closestMarker = result.closestApproach?.point || null;
+        const reason = describeFailure(result);
+
+        if (this.attempts >= level.maxAttempts) {
+            this.phase = GamePhase.GAME_OVER;
+            if (!this.testPlaying) {
+                this.scorecard.record(
+                    level.id, level.name, this.attempts, level.parShots, false, this.hints.used
+                );
+                this.updateScorecard();
+            }
+            this.showMessage(`💀 Partie terminée. ${reason}`, 'failed', FAILURE_MESSAGE_DURATION);
+            return;
         }
+
+        this.phase = GamePhase.AIMING;
+        if (lost) {
+            this.showMessage(`${reason}. Retour à la position précédente.`, 'failed',
+                FAILURE_MESSAGE_DURATION);
+        } else {
+            this.showMessage(`${reason}. Coup ${this.attempts + 1}`, 'info', FAILURE_MESSAGE_DURATION);
+        }
+        document.getElementById('launchBtn')?.removeAttribute('disabled');
+        this.updateAim();
+    }
+
+    // La surface n'affiche que renderer.maxMassCount masses : au-delà, la
+    // physique reste exacte mais le relief montré est incomplet. Un seul
+    // avertissement par nombre de masses (l'éditeur appelle à chaque modification).
+    checkMassCapacity(level) {
+        const count = level.masses.length;
+        const capacity = this.renderer.maxMassCount;
+
+        if (count <= capacity) {
+            this.massWarningCount = null;
+            return;
+        }
+        if (count === this.massWarningCount) return;
+        this.massWarningCount = count;
+
+        this.showWarning(
+            `${count} masses : seules ${capacity} sont affichées sur cet appareil (la physique les prend toutes en compte)`
+        );
+    }
+
+    // Incident non bloquant (calcul, stockage, limite du matériel)
+    showWarning(text) {
+        this.showMessage(`⚠ ${text}`, 'failed', FAILURE_MESSAGE_DURATION);
     }
 
-    showMessage(text, type) {
+    showMessage(text, type, duration = 2000) {
         const messageEl = document.getElementById('message');
         if (messageEl) {
             messageEl.textContent = text;
             messageEl.className = `message ${type}`;
             messageEl.style.display = 'block';
 
-            setTimeout(() => {
+            // Un nouveau message n'est pas masqué par le délai du précédent
+            clearTimeout(this.messageTimer);
+            this.messageTimer = setTimeout(() => {
                 messageEl.style.display = 'none';
-            }, 2000);
+            }, duration);
         }
     }
 
     getGameState() {
         return {
-            masses: this.currentLevel?.masses || [],
+            masses: (this.currentLevel?.masses || []).map(m => massAt(m, this.fieldTime)),
+            objects: this.currentLevel?.objects || [],
+            bounds: this.currentLevel?.bounds,
+            marker: this.phase === GamePhase.AIMING || this.phase === GamePhase.GAME_OVER ?
+                this.closestMarker : null,
+            hint: this.phase === GamePhase.AIMING ? this.hints.hint : null,
+            time: this.fieldTime,
             startPos: this.currentLevel?.startPos || { x: 0, y: 0 },
             goalPos: this.currentLevel?.goalPos || { x: 0, y: 0 },
             goalRadius: this.currentLevel?.goalRadius || 0.5,
-            projectilePos: this.phase === GamePhase.FLYING ?
-                this.projectile.getPosition3D() : null
+            selectedMass: this.phase === GamePhase.EDITING ? this.editor.selectedIndex : -1,
+            projectilePos: this.phase !== GamePhase.MENU ? this.getBallPosition() : null
         };
     }
 
+    getBallPosition() {
+        if (this.phase === GamePhase.REPLAY) {
+            return this.replayPlayer.getFrame().point;
+        }
+        return this.projectile.getPosition3D(this.fieldTime);
+    }
+
+    // Projectile en mouvement (vol ou replay) pour la caméra de poursuite
+    getFlightView() {
+        if (this.phase === GamePhase.FLYING) {
+            return {
+                position: this.projectile.getPosition3D(this.fieldTime),
+                path: this.projectile.getCurrentTrajectory()
+            };
+        }
+        if (this.phase === GamePhase.REPLAY && this.replayPlayer.playing) {
+            const frame = this.replayPlayer.getFrame();
+            return { position: frame.point, path: frame.remaining };
+        }
+        return null;
+    }
+
     startRenderLoop() {
         const loop = (timestamp) => {
             const deltaTime = (timestamp - this.lastTime) / 1000;
             this.lastTime = timestamp;
 
             this.update(deltaTime);
+            this.renderer.camera.update(deltaTime);
+            this.syncCameraControls();
             this.renderer.render(this.getGameState());
 
             requestAnimationFrame(loop);
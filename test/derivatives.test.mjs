@@ -0,0 +1,115 @@
+/**
+ * Dérivées analytiques de physics.js comparées aux différences finies
+ * Lancer : node --test test/
+ *
+ * Pour chaque modèle de potentiel, une masse de ce modèle (plus une colline
+ * fixe) et des points proches (à moins d'une unité) et lointains.
+ * Écart relatif : |a - b| / max(1, |a|, |b|).
+ * Tolérances : pas des différences finies choisis pour une erreur de
+ * troncature bien inférieure à la tolérance, y compris près des masses.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    setMasses,
+    gravitationalHeight,
+    computeHeightDerivatives,
+    computeGradient,
+    computeGradientFD,
+    computeMetric,
+    computeMetricFD,
+    computeChristoffel,
+    computeChristoffelFD,
+    computeGaussianCurvature,
+    computeGaussianCurvatureFD
+} from '../js/engine/physics.js';
+import { getPotentialModels, PotentialGeometry } from '../js/engine/potentials.js';
+
+// ===== PARAMÈTRES =====
+
+const TOLERANCE = {
+    height: 1e-12,          // Même formule, aucune approximation
+    firstOrder: 1e-6,       // Gradient et métrique, pas FIRST_ORDER_STEP
+    secondOrder: 1e-3       // Hessienne, Christoffel et courbure, pas SECOND_ORDER_STEP
+};
+
+const FIRST_ORDER_STEP = 1e-5;
+const SECOND_ORDER_STEP = 1e-3;
+
+// Colline fixe ajoutée à chaque scène, pour tester la superposition
+const HILL = { x: 3, y: 3, strength: -0.8, model: 'softened' };
+
+const NEAR_POINTS = [[0.6, 0.3], [0.5, -0.6], [0.45, 0.05], [-0.4, 0.5]];
+const FAR_POINTS = [[-2.5, 2], [4, -3.5], [-4, -4], [1.5, 4.5]];
+
+// ===== OUTILS =====
+
+function relative(a, b) {
+    return Math.abs(a - b) / Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function assertClose(actual, expected, tolerance, what) {
+    const error = relative(actual, expected);
+    assert.ok(error <= tolerance,
+        `${what} : analytique ${actual}, numérique ${expected} (écart ${error.toExponential(2)} > ${tolerance})`);
+}
+
+function assertAllClose(actual, expected, tolerance, what) {
+    for (const key of Object.keys(actual)) {
+        assertClose(actual[key], expected[key], tolerance, `${what}.${key}`);
+    }
+}
+
+// Hessienne par différences centrées
+function hessianFD(x, y, eps) {
+    const h = gravitationalHeight;
+    return {
+        hxx: (h(x + eps, y) - 2 * h(x, y) + h(x - eps, y)) / (eps * eps),
+        hyy: (h(x, y + eps) - 2 * h(x, y) + h(x, y - eps)) / (eps * eps),
+        hxy: (h(x + eps, y + eps) - h(x + eps, y - eps) - h(x - eps, y + eps) + h(x - eps, y - eps)) /
+            (4 * eps * eps)
+    };
+}
+
+// Masse du modèle, près de l'origine. Les points proches évitent les
+// perpendiculaires aux extrémités des segments, où la hessienne est discontinue.
+function massFor(model) {
+    if (model.geometry === PotentialGeometry.SEGMENT) {
+        return { x: -1, y: 0, x2: 1, y2: 0.5, strength: 1.5, model: model.id };
+    }
+    return { x: 0.2, y: -0.1, strength: 1.5, model: model.id };
+}
+
+// ===== TESTS =====
+
+for (const model of getPotentialModels()) {
+    for (const [region, points] of [['proche', NEAR_POINTS], ['lointain', FAR_POINTS]]) {
+        test(`${model.id} : dérivées analytiques = différences finies (${region})`, () => {
+            setMasses([massFor(model), HILL]);
+
+            for (const [x, y] of points) {
+                const at = `(${x}, ${y})`;
+                const d = computeHeightDerivatives(x, y);
+
+                assertClose(d.h, gravitationalHeight(x, y), TOLERANCE.height, `hauteur ${at}`);
+
+                assertAllClose(computeGradient(x, y), computeGradientFD(x, y, FIRST_ORDER_STEP),
+                    TOLERANCE.firstOrder, `gradient ${at}`);
+
+                assertAllClose({ hxx: d.hxx, hxy: d.hxy, hyy: d.hyy }, hessianFD(x, y, SECOND_ORDER_STEP),
+                    TOLERANCE.secondOrder, `hessienne ${at}`);
+
+                assertAllClose(computeMetric(x, y), computeMetricFD(x, y, FIRST_ORDER_STEP),
+                    TOLERANCE.firstOrder, `métrique ${at}`);
+
+                assertAllClose(computeChristoffel(x, y), computeChristoffelFD(x, y, SECOND_ORDER_STEP),
+                    TOLERANCE.secondOrder, `Christoffel ${at}`);
+
+                assertClose(computeGaussianCurvature(x, y), computeGaussianCurvatureFD(x, y, SECOND_ORDER_STEP),
+                    TOLERANCE.secondOrder, `courbure ${at}`);
+            }
+        });
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * Génération par lot (generator.js)
+ * Lancer : node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generateLevel, generateLevelBatch, difficultyBandFor } from '../js/game/generator.js';
+
+// ===== PARAMÈTRES =====
+
+const START_ID = 6;
+const COUNT = 3;
+
+// ===== TESTS =====
+
+test('lot : trié par difficulté calculée, chaque niveau reproductible seul', () => {
+    const progress = [];
+    const levels = generateLevelBatch(START_ID, COUNT, {
+        onProgress: (done, total) => progress.push(done / total)
+    });
+
+    assert.equal(levels.length, COUNT);
+    assert.deepEqual(levels.map(l => l.id).sort((a, b) => a - b), [6, 7, 8]);
+
+    const scores = levels.map(l => l.estimatedDifficulty.score);
+    for (let i = 1; i < scores.length; i++) {
+        assert.ok(scores[i - 1] <= scores[i], `scores non triés : ${scores.join(', ')}`);
+    }
+
+    for (const level of levels) {
+        const alone = generateLevel(level.id, { difficulty: difficultyBandFor(level.id) });
+        assert.deepEqual(alone.toJSON(), level.toJSON());
+    }
+
+    assert.equal(progress.at(-1), 1);
+    for (let i = 1; i < progress.length; i++) {
+        assert.ok(progress[i - 1] <= progress[i], 'progression non croissante');
+    }
+});
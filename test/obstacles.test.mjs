@@ -0,0 +1,50 @@
+/**
+ * Collisions avec les obstacles le long d'une trajectoire (physics.js)
+ * Lancer : node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeTrajectory } from '../js/engine/physics.js';
+import { ObstacleType } from '../js/engine/obstacles.js';
+
+// ===== PARAMÈTRES =====
+
+// Mur fin, perpendiculaire à un tir rectiligne, placé en WALL_POSITIONS
+// abscisses régulières entre -3 et 3
+const WALL_POSITIONS = 400;
+const WALL_HALF_HEIGHT = 1;
+
+const SHOT = {
+    start: { x: -4, y: 0 },
+    vel: { x: 3, y: 0 },
+    options: {
+        maxSteps: 2000,
+        dt: 0.01,
+        integrator: 'rk45',
+        tolerance: 1e-6,
+        bounds: { minX: -5, maxX: 5, minY: -5, maxY: 5 },
+        masses: []
+    }
+};
+
+// ===== TESTS =====
+
+test('rk45 : un mur fin sur la trajectoire est toujours touché', () => {
+    const missed = [];
+
+    for (let k = 0; k < WALL_POSITIONS; k++) {
+        const x = -3 + 6 * k / (WALL_POSITIONS - 1);
+        const wall = {
+            type: ObstacleType.WALL,
+            x1: x, y1: -WALL_HALF_HEIGHT,
+            x2: x, y2: WALL_HALF_HEIGHT
+        };
+        const result = computeTrajectory(SHOT.start, SHOT.vel, { ...SHOT.options, obstacles: [wall] });
+
+        if (!result.events.some(event => event.type === ObstacleType.WALL)) missed.push(x);
+    }
+
+    assert.deepEqual(missed, [], `mur traversé en x = ${missed.map(x => x.toFixed(3)).join(', ')}`);
+});
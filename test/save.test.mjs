@@ -0,0 +1,79 @@
+/**
+ * Chargement et migration des sauvegardes (save.js)
+ * Lancer : node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SaveManager, SAVE_KEY, SAVE_VERSION } from '../js/game/save.js';
+
+// ===== OUTILS =====
+
+// Stockage en mémoire avec l'interface de localStorage utilisée par SaveManager
+function memoryStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+// ===== TESTS =====
+
+test('sauvegarde sans version : migrée vers la version courante', () => {
+    const storage = memoryStorage({
+        [SAVE_KEY]: JSON.stringify({
+            levels: { 1: { completed: true, bestStrokes: 2 }, 2: { completed: true, bestStrokes: 3 } }
+        })
+    });
+    const save = new SaveManager(storage);
+
+    assert.equal(save.loadError, null);
+    assert.equal(save.data.version, SAVE_VERSION);
+    assert.equal(save.totalShots, 0);
+    assert.deepEqual([...save.data.unlocked].sort((a, b) => a - b), [1, 2, 3]);
+    assert.equal(save.getLevel(2).bestStrokes, 3);
+});
+
+test('sauvegarde sans version : niveaux débloqués conservés s\'ils existent', () => {
+    const storage = memoryStorage({
+        [SAVE_KEY]: JSON.stringify({ levels: {}, unlocked: [1, 4], totalShots: 12 })
+    });
+    const save = new SaveManager(storage);
+
+    assert.deepEqual(save.data.unlocked, [1, 4]);
+    assert.equal(save.totalShots, 12);
+});
+
+test('sauvegarde illisible : copie de côté et message pour le joueur', () => {
+    const storage = memoryStorage({ [SAVE_KEY]: '{ pas du json' });
+    const save = new SaveManager(storage);
+
+    assert.deepEqual(save.data.unlocked, [1]);
+    assert.match(save.loadError, /illisible/);
+    assert.equal(storage.getItem(`${SAVE_KEY}.corrupt`), '{ pas du json');
+});
+
+test('sauvegarde plus récente que le jeu : ignorée', () => {
+    const storage = memoryStorage({
+        [SAVE_KEY]: JSON.stringify({ version: SAVE_VERSION + 1, levels: {}, unlocked: [1], totalShots: 0 })
+    });
+    const save = new SaveManager(storage);
+
+    assert.match(save.loadError, /plus récente/);
+});
+
+test('échec d\'écriture : signalé une seule fois', () => {
+    const messages = [];
+    const save = new SaveManager({
+        getItem: () => null,
+        setItem: () => { throw new Error('quota dépassé'); }
+    });
+    save.onError = (text) => messages.push(text);
+
+    save.recordShot();
+    save.recordShot();
+
+    assert.equal(messages.length, 1);
+});